@@ -0,0 +1,133 @@
+import definitions from "./aggregators.json" with { type: "json" };
+
+/**
+ * aggregators.js
+ * - Cover aggregators (kiosko.net, frontpages.com, ...) are data, see aggregators.json:
+ *
+ *   {
+ *     "id": "kiosko", "name": "kiosko.net",
+ *     "dated": true,                     // covers are addressed by date (usable by backfill)
+ *     "threshold": 70,                   // minimum candidate score (fetchers.js scoreBreakdown)
+ *     "dateRegex": "img\\.kiosko\\.net/(\\d{4})/(\\d{2})/(\\d{2})/",  // year, month, day groups
+ *     "cdn": { "host": "img.kiosko.net", "points": 120 },             // score bonus for its images
+ *     "languages": { "ES": "es", ... },  // edition per country; other countries are skipped
+ *     "guessSlugs": true,                // also try slugs derived from publisher id and name
+ *     "lookups": [{ "kind": "image" | "page" | "index", "label": "direct", "urls": [...], ... }],
+ *     "slugs": { "marca": ["marca"] }
+ *   }
+ *
+ * - URL templates take {slug} {lang} {date} {yyyy} {mm} {dd} {size} {id}.
+ * - Publishers override slugs per aggregator (`"slugs": { "kiosko": ["el9"] }`) and
+ *   which sources run, in which order (`"sources": ["kiosko", "primary"]`).
+ * - fetchers.js runs the lookups; this module only interprets the definitions.
+ */
+
+export const AGGREGATORS = definitions.aggregators;
+
+export function getAggregator(id) {
+  return AGGREGATORS.find((a) => a.id === id) || null;
+}
+
+export function listAggregators() {
+  return AGGREGATORS.map((a) => a.id);
+}
+
+export function normalizeText(s) {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+export function uniqueStrings(arr) {
+  const out = [];
+  const seen = new Set();
+  for (const x of arr) {
+    const v = String(x || "").trim();
+    if (!v) continue;
+    if (seen.has(v)) continue;
+    seen.add(v);
+    out.push(v);
+  }
+  return out;
+}
+
+/** Edition language for `publisher`: "" when the aggregator has no editions, null when its country has none. */
+export function aggregatorLang(aggregator, publisher) {
+  if (!aggregator.languages) return "";
+  return aggregator.languages[publisher?.country] || null;
+}
+
+// "l-equipe" / "L'Équipe" -> lequipe, l_equipe, l_equip, ...
+function guessedSlugs(publisher) {
+  const candidates = [];
+  const pid = normalizeText(publisher.id).replace(/\s+/g, "");
+  if (pid) {
+    candidates.push(pid);
+    candidates.push(pid.replace(/-/g, "_"));
+    candidates.push(pid.replace(/_/g, ""));
+  }
+
+  const pname = normalizeText(publisher.name || "");
+  if (pname) {
+    const words = pname.split(" ").filter(Boolean);
+    if (words.length) {
+      candidates.push(words.join("_"));
+      candidates.push(words.join(""));
+      if (words.length >= 2 && words[0].length === 1) {
+        candidates.push(`${words[0]}_${words[1]}`);
+        if (words[1].length >= 4) candidates.push(`${words[0]}_${words[1].slice(0, words[1].length - 1)}`); // l_equip
+      }
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Slugs to try for `publisher` on `aggregator`, best first: the publisher's own
+ * override, else the aggregator's mapping, then guesses (if enabled), else the id.
+ */
+export function aggregatorSlugs(aggregator, publisher) {
+  const mapped = publisher.slugs?.[aggregator.id] || aggregator.slugs?.[publisher.id] || [];
+  const slugs = uniqueStrings([...mapped, ...(aggregator.guessSlugs ? guessedSlugs(publisher) : [])]);
+  return slugs.length ? slugs : [publisher.id];
+}
+
+/** True when `publisher` has an explicit slug (not a guess) and, if needed, a language on `aggregator`. */
+export function isMapped(aggregator, publisher) {
+  const mapped = Boolean(publisher.slugs?.[aggregator.id] || aggregator.slugs?.[publisher.id]);
+  return mapped && aggregatorLang(aggregator, publisher) !== null;
+}
+
+export function dateVars(dateStr) {
+  const [yyyy, mm, dd] = dateStr.split("-");
+  return { date: dateStr, yyyy, mm, dd };
+}
+
+/** "https://{lang}.kiosko.net/{date}/" + vars; unknown placeholders are left as they are. */
+export function fillTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, key) => (vars[key] == null ? m : String(vars[key])));
+}
+
+const dateRegexCache = new Map();
+
+/** Edition date an aggregator URL is addressed by ("YYYY-MM-DD"), or null. */
+export function extractDateFromUrl(url, aggregators = AGGREGATORS) {
+  for (const a of aggregators) {
+    if (!a.dateRegex) continue;
+    if (!dateRegexCache.has(a.dateRegex)) dateRegexCache.set(a.dateRegex, new RegExp(a.dateRegex, "i"));
+    const m = String(url || "").match(dateRegexCache.get(a.dateRegex));
+    if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  }
+  return null;
+}
+
+/**
+ * Sources fetchCover() runs, in tie-break order: today.json, every aggregator in
+ * aggregators.json order, then the publisher's own primary, special case and fallbacks.
+ */
+export function defaultSourceOrder() {
+  return ["today.json", ...listAggregators(), "primary", "special", "fallbacks"];
+}
@@ -0,0 +1,161 @@
+import fs from "fs";
+import path from "path";
+import { normalizeText } from "./aggregators.js";
+import { writeJsonAtomic } from "./atomic.js";
+import { absoluteUrl } from "./attribution.js";
+import { statusOf } from "./history.js";
+
+/**
+ * api.js
+ * - Static JSON API for the published site, regenerated from the history after each run:
+ *
+ *   <dir>/index.json                   endpoints and what exists (countries, groups, dates)
+ *   <dir>/publishers.json              catalogue: display metadata per enabled publisher
+ *   <dir>/latest.json                  newest cover of every publisher
+ *   <dir>/countries/<cc>.json          latest.json for one country ("es", "uk", ...)
+ *   <dir>/groups/<group>.json          latest.json for one groupLabel ("uk-back-pages", ...)
+ *   <dir>/publishers/<id>/index.json   one publisher's archive, newest first
+ *   <dir>/dates/<date>.json            every publisher on one edition date
+ *
+ * - Every file is an envelope { schemaVersion, generatedAt, ... }. Bump API_SCHEMA_VERSION
+ *   when a field is renamed or removed; adding fields is not a breaking change.
+ * - Covers expose a fixed set of fields (see toApiCover); image URLs stay relative to the
+ *   site root (./data/images/...), like today.json. sourceUrl is always absolute and
+ *   `attribution` (attribution.js) carries everything a credit line needs.
+ */
+
+export const API_SCHEMA_VERSION = 1;
+
+const COVER_FIELDS = [
+  "id",
+  "publisherId",
+  "publisherName",
+  "country",
+  "groupLabel",
+  "date",
+  "status",
+  "imageSmallUrl",
+  "imageMediumUrl",
+  "imageLargeUrl",
+  "imageOriginalUrl",
+  "sourceUrl",
+  "attribution",
+  "currentIssueDate",
+  "stale",
+  "staleMatchedDate",
+  "imageExpired",
+  "headline",
+  "scrapedAt",
+];
+
+export function toApiCover(record) {
+  const out = {};
+  for (const field of COVER_FIELDS) {
+    if (record[field] != null) out[field] = record[field];
+  }
+  out.status = statusOf(record);
+  // Records from before attribution.js may hold protocol-relative CDN links
+  if (out.sourceUrl) out.sourceUrl = absoluteUrl(out.sourceUrl) || out.sourceUrl;
+  return out;
+}
+
+export function toApiPublisher(publisher) {
+  return {
+    id: publisher.id,
+    name: publisher.name,
+    country: publisher.country,
+    groupLabel: publisher.groupLabel || "",
+    type: publisher.type,
+    frequency: publisher.frequency || "daily",
+    timezone: publisher.timezone,
+    ...(publisher.aliasOf ? { aliasOf: publisher.aliasOf } : {}),
+    ...(publisher.schedule?.weekdays ? { weekdays: publisher.schedule.weekdays } : {}),
+    history: `publishers/${publisher.id}/index.json`,
+  };
+}
+
+/** "UK Back Pages" -> "uk-back-pages" */
+export function groupSlug(label) {
+  return normalizeText(label).replace(/ /g, "-");
+}
+
+function newestFirst(a, b) {
+  return String(b.date).localeCompare(String(a.date));
+}
+
+// Newest record that still has an image (an expired or failed day falls back to the one before)
+function latestCover(records) {
+  return records.filter((r) => r.imageMediumUrl && statusOf(r) !== "error").sort(newestFirst)[0] || null;
+}
+
+/**
+ * Build every API document from `history` (records, see history.js) and `publishers`
+ * (publishers.json entries); returns Map<relative path, document>.
+ */
+export function buildApi({ history = [], publishers = [], now = new Date() }) {
+  const envelope = (data) => ({ schemaVersion: API_SCHEMA_VERSION, generatedAt: now.toISOString(), ...data });
+  const enabled = publishers.filter((p) => p.enabled);
+  const docs = new Map();
+
+  const recordsOf = new Map(enabled.map((p) => [p.id, []]));
+  for (const record of history) recordsOf.get(record.publisherId)?.push(record);
+
+  const latest = enabled
+    .map((p) => latestCover(recordsOf.get(p.id)))
+    .filter(Boolean)
+    .map(toApiCover);
+
+  docs.set("publishers.json", envelope({ publishers: enabled.map(toApiPublisher) }));
+  docs.set("latest.json", envelope({ covers: latest }));
+
+  const countries = [...new Set(enabled.map((p) => String(p.country).toLowerCase()))].sort();
+  for (const cc of countries) {
+    const covers = latest.filter((c) => String(c.country).toLowerCase() === cc);
+    docs.set(`countries/${cc}.json`, envelope({ country: cc.toUpperCase(), covers }));
+  }
+
+  const groups = [...new Set(enabled.map((p) => p.groupLabel).filter(Boolean))];
+  for (const label of groups) {
+    const covers = latest.filter((c) => c.groupLabel === label);
+    docs.set(`groups/${groupSlug(label)}.json`, envelope({ groupLabel: label, covers }));
+  }
+
+  for (const p of enabled) {
+    const covers = [...recordsOf.get(p.id)].sort(newestFirst).map(toApiCover);
+    docs.set(`publishers/${p.id}/index.json`, envelope({ publisher: toApiPublisher(p), covers }));
+  }
+
+  const byDate = new Map();
+  for (const records of recordsOf.values()) {
+    for (const r of records) {
+      if (!byDate.has(r.date)) byDate.set(r.date, []);
+      byDate.get(r.date).push(toApiCover(r));
+    }
+  }
+  const dates = [...byDate.keys()].sort().reverse();
+  for (const date of dates) {
+    const covers = byDate.get(date).sort((a, b) => a.publisherId.localeCompare(b.publisherId));
+    docs.set(`dates/${date}.json`, envelope({ date, covers }));
+  }
+
+  docs.set(
+    "index.json",
+    envelope({
+      latest: "latest.json",
+      publishers: "publishers.json",
+      countries: countries.map((cc) => ({ country: cc.toUpperCase(), href: `countries/${cc}.json` })),
+      groups: groups.map((label) => ({ groupLabel: label, href: `groups/${groupSlug(label)}.json` })),
+      dates: dates.map((date) => ({ date, href: `dates/${date}.json` })),
+    })
+  );
+
+  return docs;
+}
+
+/** Replace `dir` with the documents of buildApi(); returns the number of files written. */
+export function writeApi(dir, options) {
+  const docs = buildApi(options);
+  fs.rmSync(dir, { recursive: true, force: true });
+  for (const [rel, doc] of docs) writeJsonAtomic(path.join(dir, rel), doc);
+  return docs.size;
+}
@@ -0,0 +1,26 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * atomic.js
+ * - Writes go to a temp file next to the target and are renamed over it, so a reader
+ *   (or a run killed half-way) never sees a half-written file.
+ */
+
+let counter = 0;
+
+export function writeFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${counter++}.tmp`;
+  try {
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+export function writeJsonAtomic(file, value) {
+  writeFileAtomic(file, JSON.stringify(value, null, 2));
+}
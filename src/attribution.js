@@ -0,0 +1,107 @@
+import { AGGREGATORS } from "./aggregators.js";
+
+/**
+ * attribution.js
+ * - Rights metadata stored on every cover record, enough to render the credit without
+ *   publishers.json:
+ *
+ *   "attribution": {
+ *     "publisher": "Marca",
+ *     "homepage": "https://www.marca.com/",                 // from fallbacks "site", else primary.url
+ *     "servedBy": {                                         // who served the image
+ *       "name": "kiosko.net",                               // aggregator, else the serving host
+ *       "source": "kiosko.net(np:#portada)",                // fetchCover() source
+ *       "pageUrl": "https://es.kiosko.net/es/np/marca.html" // the page it was found on (referer), or null
+ *     },
+ *     "copyright": "© 2026 Marca",
+ *     "license": "all-rights-reserved",                     // legal.license
+ *     "display": "thumbnails_only",                         // legal.display in effect
+ *     "required": true                                      // legal.attributionRequired
+ *   }
+ *
+ * - absoluteUrl() is the one normaliser for record URLs (build.js, api.js, feeds.js,
+ *   gallery.js): protocol-relative CDN links ("//img.kiosko.net/...") become https, and
+ *   every URL is serialised the same way.
+ */
+
+export const DEFAULT_LICENSE = "all-rights-reserved";
+
+// Profiles are not a publisher's homepage
+const SOCIAL_HOSTS = ["twitter.com", "x.com", "nitter.net", "instagram.com", "facebook.com"];
+
+/**
+ * Absolute, normalised http(s) URL for `raw` ("//host/x" -> "https://host/x"); null if it is
+ * not one. A relative `raw` is resolved against `base` (a page URL, or a site root ending in "/").
+ */
+export function absoluteUrl(raw, base = undefined) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+  try {
+    const url = new URL(s.startsWith("//") ? `https:${s}` : s, base);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Host of `raw` once absoluteUrl() has normalised it ("//img.kiosko.net/x" -> "img.kiosko.net"). */
+export function hostOf(raw) {
+  const url = absoluteUrl(raw);
+  return url ? new URL(url).host : null;
+}
+
+function isSocial(url) {
+  const host = new URL(url).hostname;
+  return SOCIAL_HOSTS.some((h) => host === h || host.endsWith(`.${h}`));
+}
+
+// An alias's covers are its target's
+function rightsHolder(publisher, publishersById = new Map()) {
+  return publisher?.type === "alias" ? publishersById.get(publisher.aliasOf) || publisher : publisher;
+}
+
+/**
+ * The publisher's canonical homepage: a "site" fallback, else the origin of primary.url
+ * or of another non-social fallback. Aliases use their target's.
+ */
+export function publisherHomepage(publisher, publishersById = new Map()) {
+  const owner = rightsHolder(publisher, publishersById);
+  const fallbacks = owner?.fallbacks || [];
+  const site = absoluteUrl(fallbacks.find((f) => f.type === "site")?.url);
+  if (site) return site;
+  for (const raw of [owner?.primary?.url, ...fallbacks.map((f) => f.url)]) {
+    const url = absoluteUrl(raw);
+    if (url && !isSocial(url)) return `${new URL(url).origin}/`;
+  }
+  return null;
+}
+
+// "kiosko.net(direct)" -> kiosko.net; a today.json reuse is recognised by the image's CDN host
+function servingName(source, imageUrl, pageUrl) {
+  const aggregator =
+    AGGREGATORS.find((a) => source === a.name || String(source).startsWith(`${a.name}(`)) ||
+    AGGREGATORS.find((a) => a.cdn?.host && imageUrl && new URL(imageUrl).hostname === a.cdn.host);
+  if (aggregator) return aggregator.name;
+  return new URL(pageUrl || imageUrl).hostname;
+}
+
+/**
+ * Attribution for a cover of `publisher` on `date` fetched from `imageUrl` by `source`,
+ * found on `referer`; `legal` is the global legal block (the publisher's own overrides it).
+ * An alias is credited to the publisher it borrows its covers from (`publishersById`).
+ */
+export function buildAttribution(publisher, { date, imageUrl, source, referer = null }, { legal = {}, publishersById } = {}) {
+  const owner = rightsHolder(publisher, publishersById);
+  const rules = { ...legal, ...(publisher.legal || {}) };
+  const image = absoluteUrl(imageUrl);
+  const pageUrl = absoluteUrl(referer);
+  return {
+    publisher: owner.name,
+    homepage: publisherHomepage(owner),
+    servedBy: image ? { name: servingName(source, image, pageUrl), source: source || null, pageUrl } : null,
+    copyright: `© ${String(date).slice(0, 4)} ${owner.name}`,
+    license: rules.license || DEFAULT_LICENSE,
+    display: rules.display || null,
+    required: Boolean(rules.attributionRequired),
+  };
+}
@@ -1,80 +1,737 @@
 import fs from 'fs';
 import path from 'path';
-import { fetchCover } from './fetchers.js';
+import { parseArgs } from 'util';
+import {
+  blockedFetches,
+  configureCrawlPolicy,
+  configureHostLimits,
+  configureHttpCache,
+  downloadOriginal,
+  fetchCover,
+  httpCacheStats,
+  imageUrlFields,
+} from './fetchers.js';
+import { checkConfig } from './config.js';
+import { writeApi } from './api.js';
+import { writeFeeds } from './feeds.js';
+import { writeGallery } from './gallery.js';
+import { overFailureStreak, writeRunReport } from './health.js';
+import { formatCacheStats } from './httpcache.js';
+import { mapLimit } from './concurrency.js';
+import { addDays, formatDateInTimezone, isDateString, resolveEditionDate } from './dates.js';
+import { isPublicationDay, latestIssueDate } from './schedule.js';
+import { createCoverOcr, ocrEnabledFromEnv } from './ocr.js';
+import { applyRetention, archiveDaysFor, formatRetentionReport, retentionCutoff } from './retention.js';
+import { createCoverTrace, formatTrace, pruneTraces, readTrace, writeTrace } from './trace.js';
+import { hasArchivedImage, mergeHistory, recordKey } from './history.js';
+import { createDataStore } from './store.js';
+import { absoluteUrl, buildAttribution } from './attribution.js';
 
 // Load publishers using 'with' syntax for JSON imports in newer Node.js
 import publishersData from './publishers.json' with { type: "json" };
+const publishersById = new Map(publishersData.publishers.map((p) => [p.id, p]));
 
-const OUTPUT_DIR = './docs';
-const DATA_DIR = path.join(OUTPUT_DIR, 'data');
-const IMAGES_DIR = path.join(DATA_DIR, 'images');
+const USAGE = `Usage: node src/build.js [command] [options]
 
-// Ensure directories exist
-if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR);
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
-if (!fs.existsSync(IMAGES_DIR)) fs.mkdirSync(IMAGES_DIR);
+Commands:
+  scrape                 Scrape covers (default)
+  backfill               Fetch past editions --from/--to (date-verifiable sources only)
+  validate               Check publishers.json against its schema and consistency rules
+  explain <publisherId>  Print the scoring trace of a run (--date, --all)
+  prune                  Apply the legal.archiveDays retention window (--dry-run)
+  ocr-archive            Re-run OCR on every archived image
 
-async function main() {
-  const today = new Date().toISOString().split('T')[0];
-  const results = [];
+Options:
+  --date YYYY-MM-DD        Edition date for every publisher (default: today in each publisher's timezone)
+  --from / --to YYYY-MM-DD backfill: first and last edition date (inclusive)
+  --only marca,as          Only these publisher ids
+  --country ES,IT          Only these countries
+  --group "UK Back Pages"  Only this groupLabel
+  --out <dir>              Site root to write to (default: ./docs)
+  --traces <dir>           Scoring traces, kept out of the published site (default: ./data/traces)
+  --dry-run                Resolve and rank candidates; download and write nothing
+  --concurrency N          Publishers scraped in parallel (default: crawl.concurrency)
+  --ocr                    OCR headlines of new covers (or OCR_ENABLED=true)
+  --all                    explain: list every failed probe too
+  -h, --help               Show this help
+
+Exit codes: 0 ok, 1 fatal or invalid usage/config, 2 some publishers failed, 3 every publisher failed,
+            4 some publishers failed and one has failed more than health.maxFailureStreak days in a row.`;
+
+// CI deploys on 0, 2 and 4 and fails the job on anything but 0 (see .github/workflows/daily.yml)
+const EXIT_OK = 0;
+const EXIT_FATAL = 1;
+const EXIT_PARTIAL = 2;
+const EXIT_ALL_FAILED = 3;
+const EXIT_FAILURE_STREAK = 4;
+
+const COMMANDS = ['scrape', 'backfill', 'validate', 'explain', 'prune', 'ocr-archive'];
+
+const CLI_OPTIONS = {
+  date: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  only: { type: 'string' },
+  country: { type: 'string' },
+  group: { type: 'string' },
+  out: { type: 'string' },
+  traces: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  concurrency: { type: 'string' },
+  ocr: { type: 'boolean' },
+  all: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  // Before subcommands these were flags; still accepted
+  prune: { type: 'boolean' },
+  'ocr-archive': { type: 'boolean' },
+};
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+
+  let command = positionals[0] || 'scrape';
+  if (values.prune) command = 'prune';
+  if (values['ocr-archive']) command = 'ocr-archive';
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}"`);
+
+  for (const name of ['date', 'from', 'to']) {
+    if (values[name] && !isDateString(values[name])) {
+      throw new Error(`Invalid --${name} "${values[name]}" (expected YYYY-MM-DD)`);
+    }
+  }
 
-  console.log(`Starting scrape for ${today}...`);
-
-  for (const publisher of publishersData.publishers) {
-    if (!publisher.enabled) continue;
-
-    console.log(`Processing ${publisher.name} (${publisher.country})...`);
-    
-    // Create country/publisher specific folder
-    const publisherDir = path.join(IMAGES_DIR, publisher.country.toLowerCase(), publisher.id);
-    if (!fs.existsSync(publisherDir)) fs.mkdirSync(publisherDir, { recursive: true });
-
-    try {
-      const result = await fetchCover(publisher, today, publisherDir);
-      
-      results.push({
-        id: `${publisher.id}-${today}`,
-        publisherId: publisher.id,
-        publisherName: publisher.name,
-        country: publisher.country,
-        groupLabel: publisher.groupLabel, // Added groupLabel support
-        date: today,
-        imageMediumUrl: `./data/images/${publisher.country.toLowerCase()}/${publisher.id}/${result.localFile}`,
-        sourceUrl: result.url,
-        scrapedAt: new Date().toISOString()
-      });
-      console.log(`  -> Success: ${result.localFile}`);
-    } catch (e) {
-      console.error(`  -> Failed: ${e.message}`);
-      results.push({
-        id: `${publisher.id}-${today}`,
-        publisherId: publisher.id,
-        publisherName: publisher.name,
-        country: publisher.country,
-        groupLabel: publisher.groupLabel,
-        date: today,
-        error: e.message,
-        scrapedAt: new Date().toISOString()
-      });
+  let concurrency = null;
+  if (values.concurrency != null) {
+    concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('Invalid --concurrency (expected a positive integer)');
     }
   }
 
-  // Save today's results
-  fs.writeFileSync(
-    path.join(DATA_DIR, 'today.json'), 
-    JSON.stringify(results, null, 2)
+  const list = (v) => (v ? v.split(',').map((s) => s.trim()).filter(Boolean) : null);
+
+  return {
+    command,
+    args: positionals.slice(1),
+    help: Boolean(values.help),
+    date: values.date || null,
+    from: values.from || null,
+    to: values.to || null,
+    only: list(values.only),
+    countries: list(values.country)?.map((c) => c.toUpperCase()) || null,
+    group: values.group || null,
+    outDir: values.out || './docs',
+    tracesDir: values.traces || './data/traces',
+    dryRun: Boolean(values['dry-run']),
+    concurrency,
+    ocr: Boolean(values.ocr),
+    all: Boolean(values.all),
+  };
+}
+
+// Every path a run reads or writes, from the site root (--out) and the traces directory (--traces)
+function sitePaths(outDir, tracesDir) {
+  const dataDir = path.join(outDir, 'data');
+  return {
+    outputDir: outDir,
+    // today.json, the history and the run lock, owned by the data store (see store.js)
+    dataDir,
+    imagesDir: path.join(dataDir, 'images'),
+    // Per-publisher scoring traces, <date>/<publisherId>.json (see trace.js); they list every
+    // URL probed, so they stay outside the site that gets deployed
+    tracesDir,
+    // Per-publisher health and the Markdown summary of the last run (see health.js)
+    statusFile: path.join(dataDir, 'status.json'),
+    summaryFile: path.join(dataDir, 'summary.md'),
+    // Static JSON API derived from the history (see api.js)
+    apiDir: path.join(outDir, 'api'),
+    // Atom / JSON Feed per group and publisher (see feeds.js)
+    feedsDir: path.join(outDir, 'feeds'),
+  };
+}
+
+// Dry runs get a read-only store: nothing is migrated, locked or written
+function openStore(paths, { dryRun = false } = {}) {
+  return createDataStore(paths.dataDir, { readOnly: dryRun });
+}
+
+// Writing commands hold the store's lock for their whole run
+async function withLock(store, fn) {
+  const release = store.readOnly ? () => {} : store.lock();
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+// The partitioned archive; the store migrates a leftover covers.json first (read-only stores merge it in memory)
+function loadHistory(store) {
+  const { records, migrated } = store.readHistory();
+  if (migrated) {
+    console.log(
+      `History: migrated covers.json (${migrated.before} records, ${migrated.after} after dedupe) to ${store.historyDir}`
+    );
+  }
+  return records;
+}
+
+// Everything derived from today.json and the history for the site: JSON API, feeds, HTML gallery
+function publishSite(history, store, paths) {
+  const { publishers, legal, site } = publishersData;
+  const files = writeApi(paths.apiDir, { history, publishers });
+  const feeds = writeFeeds(paths.feedsDir, { history, publishers, legal, site });
+  const today = store.readToday();
+  const pages = writeGallery(paths.outputDir, { today, history, publishers, legal, site });
+  console.log(
+    `Site: ${files} API file(s) in ${paths.apiDir}, ${feeds} feed(s) in ${paths.feedsDir}, ${pages} HTML page(s).`
+  );
+}
+
+function saveHistory(history, store, paths) {
+  const months = store.writeHistory(history);
+  console.log(`History: ${history.length} record(s); ${months.length ? `wrote ${months.join(', ')}` : 'unchanged'}.`);
+  publishSite(history, store, paths);
+}
+
+/**
+ * Enabled publishers narrowed by --only / --country / --group.
+ * Unknown ids are an error; an empty selection is too.
+ */
+function selectPublishers(publishers, { only, countries, group }) {
+  if (only) {
+    const known = new Set(publishers.map((p) => p.id));
+    const unknown = only.filter((id) => !known.has(id));
+    if (unknown.length) throw new Error(`Unknown publisher id(s) in --only: ${unknown.join(', ')}`);
+  }
+
+  const selected = publishers.filter(
+    (p) =>
+      p.enabled &&
+      (!only || only.includes(p.id)) &&
+      (!countries || countries.includes(String(p.country).toUpperCase())) &&
+      (!group || String(p.groupLabel || '').toLowerCase() === group.toLowerCase())
+  );
+
+  if (!selected.length) throw new Error('No enabled publishers match the given filters');
+  return selected;
+}
+
+// Hard config errors make a scrape pointless (see config.js)
+function assertValidConfig() {
+  const { errors } = checkConfig(publishersData);
+  if (errors.length) {
+    for (const e of errors) console.error(`  ${e}`);
+    throw new Error(`publishers.json has ${errors.length} error(s); run \`validate\``);
+  }
+}
+
+// `validate`: schema and consistency report; exits 1 on errors, warnings alone pass
+function validate() {
+  const { errors, warnings } = checkConfig(publishersData);
+  for (const e of errors) console.error(`  error: ${e}`);
+  for (const w of warnings) console.warn(`  warning: ${w}`);
+  console.log(
+    errors.length
+      ? `publishers.json: ${errors.length} error(s), ${warnings.length} warning(s).`
+      : `publishers.json: OK (${publishersData.publishers.length} publishers, ${warnings.length} warning(s)).`
   );
-  
-  // Append to historical log (simplified)
-  const historyFile = path.join(DATA_DIR, 'covers.json');
-  let history = [];
-  if (fs.existsSync(historyFile)) {
-    history = JSON.parse(fs.readFileSync(historyFile));
+  return errors.length ? EXIT_FATAL : EXIT_OK;
+}
+
+// Latest archived cover with an image for this publisher, on or before `dateStr`. no_issue
+// records carry the current issue's image too, but are not an issue themselves.
+function findLatestIssue(records, publisherId, dateStr) {
+  return records
+    .filter(
+      (r) =>
+        r.publisherId === publisherId &&
+        (r.status || 'ok') === 'ok' &&
+        r.imageMediumUrl &&
+        !r.error &&
+        r.date <= dateStr
+    )
+    .sort((a, b) => b.date.localeCompare(a.date))[0] || null;
+}
+
+// The fields runOcr() adds to a record (see ocr.js)
+const OCR_FIELDS = ['headline', 'kicker', 'ocrText', 'ocrConfidence', 'ocrLang'];
+
+// OCR never fails a cover: a missing traineddata file or a tesseract error just leaves the fields out
+async function runOcr(ocr, imagePath, publisher, log = console.log) {
+  try {
+    const result = await ocr.recognizeCover(imagePath, publisher);
+    log(`  -> OCR (${result.ocrLang}, ${result.ocrConfidence}%): ${result.headline || '(no headline)'}`);
+    return result;
+  } catch (e) {
+    log(`  -> OCR skipped: ${e.message}`);
+    return {};
+  }
+}
+
+/**
+ * `ocr-archive`: re-run OCR on every archived cover referenced by today.json / the history.
+ * Where only derivatives were kept (thumbnails_only), the original is downloaded again from
+ * sourceUrl for the read and deleted; if that fails, the largest derivative is read instead.
+ */
+async function reocrArchive(store, paths) {
+  const ocr = createCoverOcr();
+  const byImage = new Map();
+  const scratchDir = path.join(paths.dataDir, '.ocr-originals');
+  configureCrawl();
+
+  try {
+    const today = store.readToday();
+    const history = loadHistory(store);
+
+    for (const records of [today, history]) {
+      for (const record of records) {
+        if (!record.imageMediumUrl || record.status === 'no_issue') continue;
+
+        const imagePath = path.join(
+          paths.outputDir,
+          record.imageOriginalUrl || record.imageLargeUrl || record.imageMediumUrl
+        );
+        if (!fs.existsSync(imagePath)) continue;
+
+        if (!byImage.has(imagePath)) {
+          console.log(`OCR ${record.id}...`);
+          let original = null;
+          if (!record.imageOriginalUrl && record.sourceUrl) {
+            try {
+              original = await downloadOriginal(record.sourceUrl, scratchDir, record.attribution?.servedBy?.pageUrl);
+            } catch (e) {
+              console.log(`  -> Original unavailable (${e.message}); reading ${path.basename(imagePath)}`);
+            }
+          }
+          try {
+            byImage.set(imagePath, await runOcr(ocr, original || imagePath, publishersById.get(record.publisherId)));
+          } finally {
+            if (original) fs.rmSync(original, { force: true });
+          }
+        }
+        Object.assign(record, byImage.get(imagePath));
+      }
+    }
+
+    if (today.length) store.replaceToday(today);
+    saveHistory(history, store, paths);
+  } finally {
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+    await ocr.close();
   }
-  history = [...history, ...results];
-  fs.writeFileSync(historyFile, JSON.stringify(history, null, 2));
 
-  console.log('Scrape complete.');
+  console.log(`OCR complete (${byImage.size} images).`);
+}
+
+// Retention is measured from the real current date, never from a --date override
+function runRetention(history, paths, { now, dryRun }) {
+  const today = formatDateInTimezone(now, 'UTC');
+  const { history: kept, report } = applyRetention({
+    history,
+    imagesDir: paths.imagesDir,
+    outputDir: paths.outputDir,
+    publishers: publishersData.publishers,
+    legal: publishersData.legal,
+    today,
+    dryRun,
+  });
+  console.log(`Retention: ${formatRetentionReport(report, { dryRun })}`);
+
+  // Traces follow the global window; they hold no images, only URLs and scores
+  const archiveDays = publishersData.legal?.archiveDays;
+  if (archiveDays && !dryRun) pruneTraces(paths.tracesDir, retentionCutoff(today, archiveDays));
+
+  return dryRun ? history : kept;
+}
+
+// `prune [--dry-run]`: only apply the retention window to the history and the image archive
+function prune(store, paths, { dryRun }) {
+  const kept = runRetention(loadHistory(store), paths, { now: new Date(), dryRun });
+  if (!dryRun) saveHistory(kept, store, paths);
+}
+
+// publishers.json `crawl`: per-host limits, response cache, user agent and robots.txt policy
+function configureCrawl() {
+  const crawl = publishersData.crawl || {};
+  configureHostLimits(crawl.hosts);
+  configureHttpCache({ dir: crawl.cacheDir });
+  configureCrawlPolicy({ userAgent: crawl.userAgent, robots: crawl.robots });
+}
+
+function logBlocked(log, blocked = []) {
+  for (const b of blocked) log(`  -> Blocked by robots.txt: ${b.url} (${b.rule})`);
+}
+
+// Aliases reuse their target's cover through today.json, so they start once every other
+// publisher has finished; results keep the order of `publishers`
+async function runPublishers(publishers, concurrency, fn) {
+  const isAlias = (p) => p.type === 'alias';
+  const targets = await mapLimit(publishers.filter((p) => !isAlias(p)), concurrency, fn);
+  const aliases = await mapLimit(publishers.filter(isAlias), concurrency, fn);
+  return publishers.map((p) => (isAlias(p) ? aliases : targets).shift());
+}
+
+/**
+ * One publisher-day. A scrape puts each cover in today.json as soon as it lands (so an
+ * alias can reuse it, see runPublishers()); `backfill` restricts fetchCover() to
+ * date-verifiable sources and leaves today.json alone.
+ */
+async function processPublisher(publisher, { now, dateOverride, history, store, ocr, paths, dryRun, backfill = false }) {
+  const log = (msg) => console.log(`[${publisher.id}] ${msg}`);
+
+  // Edition date in the publisher's own timezone (see dates.js)
+  const editionDate = resolveEditionDate(publisher, {
+    now,
+    override: dateOverride,
+    cutoverHour: publishersData.editionCutoverHour,
+  });
+
+  log(`Processing ${publisher.name} (${publisher.country}) for ${editionDate}...`);
+
+  const base = {
+    id: `${publisher.id}-${editionDate}`,
+    publisherId: publisher.id,
+    publisherName: publisher.name,
+    country: publisher.country,
+    groupLabel: publisher.groupLabel,
+    date: editionDate,
+  };
+
+  // Off-schedule day (e.g. kicker prints Mon/Thu): not an error, point at the current issue
+  const scheduleOpts = { holidays: publishersData.holidays };
+  if (!isPublicationDay(publisher, editionDate, scheduleOpts)) {
+    const current = findLatestIssue(history, publisher.id, editionDate);
+    const currentIssueDate = current?.date || latestIssueDate(publisher, editionDate, scheduleOpts);
+
+    log(`  -> No issue today (current issue: ${currentIssueDate || 'unknown'})`);
+    return {
+      ...base,
+      status: 'no_issue',
+      currentIssueDate,
+      ...(current
+        ? {
+            imageSmallUrl: current.imageSmallUrl,
+            imageMediumUrl: current.imageMediumUrl,
+            sourceUrl: absoluteUrl(current.sourceUrl),
+            ...(current.attribution ? { attribution: current.attribution } : {}),
+          }
+        : {}),
+      scrapedAt: new Date().toISOString()
+    };
+  }
+
+  // Country/publisher specific folder (created by fetchCover unless this is a dry run)
+  const publisherDir = path.join(paths.imagesDir, publisher.country.toLowerCase(), publisher.id);
+
+  // Written whatever the outcome: `explain <id>` reads it back
+  const trace = createCoverTrace({ publisherId: publisher.id, date: editionDate });
+
+  // A re-run that downloads the same bytes keeps the files already saved for this day
+  const previous = history.find((r) => recordKey(r) === recordKey(base) && r.status === 'ok' && r.sha256);
+
+  // OCR reads the full-size download inside fetchCover(), before thumbnails_only deletes it
+  let ocrFields = {};
+  const onOriginal = ocr
+    ? async (originalPath) => {
+        ocrFields = await runOcr(ocr, originalPath, publisher, log);
+      }
+    : null;
+
+  try {
+    const result = await fetchCover(publisher, editionDate, publisherDir, publishersData.publishers, {
+      staleCheck: publishersData.staleCheck,
+      derivatives: publishersData.derivatives,
+      legal: publishersData.legal,
+      trace,
+      dryRun,
+      previous,
+      knownGood: store.knownGoodCover,
+      onOriginal,
+      ...(backfill ? { datedOnly: true } : {}),
+    });
+
+    logBlocked(log, result.blocked);
+    if (result.dryRun) {
+      log(`  -> Would download: ${result.url} (${result.source}, score ${result.score})`);
+      return {
+        ...base,
+        status: 'ok',
+        dryRun: true,
+        sourceUrl: absoluteUrl(result.url),
+        source: result.source,
+        score: result.score,
+      };
+    }
+
+    // Same bytes as before: the earlier read of the original still holds
+    if (ocr && result.unchanged) {
+      ocrFields = Object.fromEntries(OCR_FIELDS.filter((k) => previous[k] != null).map((k) => [k, previous[k]]));
+    }
+
+    log(`  -> ${result.stale ? 'Stale (flagged)' : result.unchanged ? 'Unchanged' : 'Success'}: ${result.localFile}`);
+    const record = {
+      ...base,
+      status: 'ok',
+      ...imageUrlFields(publisher, result.files),
+      sourceUrl: absoluteUrl(result.url),
+      source: result.source,
+      // A cover re-taken from today.json keeps the attribution of the page it was found on
+      attribution:
+        result.attribution ||
+        buildAttribution(
+          publisher,
+          { date: editionDate, imageUrl: result.url, source: result.source, referer: result.referer },
+          { legal: publishersData.legal, publishersById }
+        ),
+      sha256: result.sha256,
+      phash: result.phash,
+      ...(result.stale ? { stale: true, staleMatchedDate: result.staleMatchedDate } : {}),
+      ...(result.blocked ? { robotsBlocked: result.blocked.length } : {}),
+      ...ocrFields,
+      scrapedAt: new Date().toISOString()
+    };
+    if (!backfill) store.upsertToday([record]);
+    return record;
+  } catch (e) {
+    logBlocked(log, e.blocked);
+    console.error(`[${publisher.id}]   -> Failed: ${e.message}`);
+    return {
+      ...base,
+      status: 'error',
+      error: e.message,
+      ...(e.blocked ? { robotsBlocked: e.blocked.length } : {}),
+      scrapedAt: new Date().toISOString()
+    };
+  } finally {
+    if (!dryRun) writeTrace(paths.tracesDir, trace);
+  }
+}
+
+// `explain <publisherId> [--date YYYY-MM-DD] [--all]`: print the scoring trace of a run
+function explain(cli, paths) {
+  const [publisherId] = cli.args;
+  if (!publisherId) throw new Error('Usage: explain <publisherId> [--date YYYY-MM-DD] [--all]');
+  if (!publishersData.publishers.some((p) => p.id === publisherId)) {
+    throw new Error(`Unknown publisher "${publisherId}"`);
+  }
+
+  const trace = readTrace(paths.tracesDir, publisherId, cli.date);
+  if (!trace) {
+    throw new Error(
+      `No trace for ${publisherId}${cli.date ? ` on ${cli.date}` : ''} in ${paths.tracesDir} (run a scrape first)`
+    );
+  }
+  console.log(formatTrace(trace, { all: cli.all }));
+}
+
+// `streaking`: publishers of this run past health.maxFailureStreak (see reportRun)
+function exitCodeFor(results, streaking = []) {
+  const failed = results.filter((r) => r.status === 'error');
+  if (!failed.length) return EXIT_OK;
+  if (failed.length === results.length) return EXIT_ALL_FAILED;
+  return streaking.length ? EXIT_FAILURE_STREAK : EXIT_PARTIAL;
+}
+
+// status.json + summary.md; returns the ids of this run's publishers failing too many days in a row
+function reportRun(label, results, history, paths) {
+  const status = writeRunReport({
+    statusFile: paths.statusFile,
+    summaryFile: paths.summaryFile,
+    label,
+    results,
+    history,
+    publishers: publishersData.publishers,
+    legal: publishersData.legal,
+    holidays: publishersData.holidays,
+    maxFailureStreak: publishersData.health?.maxFailureStreak ?? null,
+  });
+  const streaking = overFailureStreak(status, [...new Set(results.map((r) => r.publisherId))]);
+  for (const id of streaking) {
+    const { failureStreak, lastSuccess } = status.publishers[id];
+    console.warn(`Warning: ${id} has failed ${failureStreak} day(s) in a row (last success: ${lastSuccess || 'never'}).`);
+  }
+  return streaking;
+}
+
+function logRunSummary(label, results, idOf = (r) => r.publisherId) {
+  const failed = results.filter((r) => r.status === 'error');
+  const failedIds = failed.length ? ` (${failed.map(idOf).join(', ')})` : '';
+  console.log(`HTTP cache: ${formatCacheStats(httpCacheStats())}`);
+  const blocked = blockedFetches();
+  if (blocked.length) {
+    const hosts = [...new Set(blocked.map((b) => new URL(b.url).host))];
+    console.log(`Robots: ${blocked.length} fetch(es) blocked by robots.txt on ${hosts.join(', ')}.`);
+  }
+  console.log(`${label} complete: ${results.length - failed.length} ok, ${failed.length} failed${failedIds}.`);
+}
+
+async function scrape(cli, store, paths) {
+  assertValidConfig();
+
+  const selected = selectPublishers(publishersData.publishers, cli);
+  const { dryRun } = cli;
+  const ocr = !dryRun && (cli.ocr || ocrEnabledFromEnv()) ? createCoverOcr() : null;
+  const now = new Date();
+
+  if (!dryRun) fs.mkdirSync(paths.imagesDir, { recursive: true });
+
+  let history = loadHistory(store);
+
+  const when = cli.date
+    ? `on ${cli.date} (--date override)`
+    : `at ${now.toISOString()} (edition date per publisher timezone)`;
+  console.log(
+    dryRun
+      ? `Dry run for ${selected.length} publisher(s) ${when}: nothing is downloaded or written.`
+      : `Starting scrape of ${selected.length} publisher(s) ${when} into ${paths.outputDir}...`
+  );
+
+  // Bounded pool across publishers; per-host politeness and robots.txt are enforced inside fetchers.js
+  configureCrawl();
+  const concurrency = cli.concurrency ?? publishersData.crawl?.concurrency ?? 4;
+
+  const results = await runPublishers(selected, concurrency, (publisher) =>
+    processPublisher(publisher, { now, dateOverride: cli.date, history, store, ocr, paths, dryRun })
+  );
+
+  if (ocr) await ocr.close();
+
+  if (!dryRun) {
+    // Save today's results (failures too); a filtered run only replaces the publishers it covered
+    const filtered = selected.length !== publishersData.publishers.filter((p) => p.enabled).length;
+    if (filtered) store.upsertToday(results);
+    else store.replaceToday(results);
+
+    // Upsert by publisher-day (a re-run replaces an earlier error), then drop what is past legal.archiveDays
+    history = runRetention(mergeHistory(history, results), paths, { now, dryRun: false });
+    saveHistory(history, store, paths);
+  }
+
+  const streaking = dryRun ? [] : reportRun('Scrape', results, history, paths);
+  logRunSummary(dryRun ? 'Dry run' : 'Scrape', results);
+  return exitCodeFor(results, streaking);
+}
+
+/**
+ * `backfill --from D --to D`: past editions, one date at a time, from sources that
+ * can prove the cover's date (kiosko.net's date-addressed CDN, dated social posts).
+ * Publisher-days already archived with an image, and days the retention window
+ * would delete straight away, are skipped. Results are merged into the history
+ * after every date, so an interrupted backfill keeps what it fetched.
+ */
+async function backfill(cli, store, paths) {
+  if (!cli.from || !cli.to) throw new Error('backfill needs --from YYYY-MM-DD and --to YYYY-MM-DD');
+  if (cli.from > cli.to) throw new Error(`--from ${cli.from} is after --to ${cli.to}`);
+
+  const now = new Date();
+  const today = formatDateInTimezone(now, 'UTC');
+  if (cli.to > today) throw new Error(`--to ${cli.to} is in the future`);
+
+  assertValidConfig();
+  const selected = selectPublishers(publishersData.publishers, cli);
+  const { dryRun } = cli;
+
+  let history = loadHistory(store);
+  const archived = new Set(history.filter((r) => hasArchivedImage(r, paths.outputDir)).map(recordKey));
+
+  const firstKept = (publisher) => {
+    const days = archiveDaysFor(publisher, publishersData.legal);
+    return days ? retentionCutoff(today, days) : null;
+  };
+
+  const plan = [];
+  const skipped = { archived: 0, retention: 0 };
+  for (let date = cli.from; date <= cli.to; date = addDays(date, 1)) {
+    const publishers = selected.filter((p) => {
+      if (archived.has(`${p.id}-${date}`)) return skipped.archived++, false;
+      if (firstKept(p) && date < firstKept(p)) return skipped.retention++, false;
+      return true;
+    });
+    if (publishers.length) plan.push({ date, publishers });
+  }
+
+  const jobs = plan.reduce((n, d) => n + d.publishers.length, 0);
+  console.log(
+    `${dryRun ? 'Dry run: backfill' : 'Backfill'} ${cli.from}..${cli.to}: ${jobs} publisher-day(s) to fetch, ` +
+      `${skipped.archived} already archived, ${skipped.retention} outside legal.archiveDays.`
+  );
+  if (!jobs) return EXIT_OK;
+
+  if (!dryRun) fs.mkdirSync(paths.imagesDir, { recursive: true });
+  const ocr = !dryRun && (cli.ocr || ocrEnabledFromEnv()) ? createCoverOcr() : null;
+
+  configureCrawl();
+  const concurrency = cli.concurrency ?? publishersData.crawl?.concurrency ?? 4;
+
+  const results = [];
+  try {
+    // Dates in order: the stale check compares each cover with the days before it
+    for (const { date, publishers } of plan) {
+      const dayResults = await runPublishers(publishers, concurrency, (publisher) =>
+        processPublisher(publisher, { now, dateOverride: date, history, store, ocr, paths, dryRun, backfill: true })
+      );
+      results.push(...dayResults);
+
+      if (!dryRun) {
+        history = mergeHistory(history, dayResults);
+        store.writeHistory(history);
+      }
+    }
+  } finally {
+    if (ocr) await ocr.close();
+  }
+
+  if (!dryRun) {
+    console.log(`History: ${history.length} record(s).`);
+    publishSite(history, store, paths);
+  }
+
+  const streaking = dryRun ? [] : reportRun('Backfill', results, history, paths);
+  logRunSummary(dryRun ? 'Dry run' : 'Backfill', results, (r) => r.id);
+  return exitCodeFor(results, streaking);
+}
+
+async function main() {
+  let cli;
+  try {
+    cli = parseCli(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return EXIT_FATAL;
+  }
+  if (cli.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const paths = sitePaths(cli.outDir, cli.tracesDir);
+  const store = openStore(paths, { dryRun: cli.dryRun });
+
+  switch (cli.command) {
+    case 'validate':
+      return validate();
+    case 'backfill':
+      return withLock(store, () => backfill(cli, store, paths));
+    case 'explain':
+      explain(cli, paths);
+      return EXIT_OK;
+    case 'prune':
+      await withLock(store, () => prune(store, paths, { dryRun: cli.dryRun }));
+      return EXIT_OK;
+    case 'ocr-archive':
+      await withLock(store, () => reocrArchive(store, paths));
+      return EXIT_OK;
+    default:
+      return withLock(store, () => scrape(cli, store, paths));
+  }
 }
 
-main();
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((e) => {
+    console.error(`Fatal: ${e.message}`);
+    process.exitCode = EXIT_FATAL;
+  });
@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import axios, { AxiosError, AxiosHeaders } from "axios";
+
+/**
+ * cassette.js
+ * - HTTP record/replay for the shared axios instance in fetchers.js.
+ * - record: real requests go out; every exchange (including 4xx/5xx) is saved.
+ * - replay: responses come from the cassette only, nothing touches the network.
+ *   Requests that were never recorded are answered with a 404, like a missing page.
+ *
+ * Layout: <dir>/<hash>.json per exchange ({ key, method, url, range, status, headers, body })
+ * and <dir>/bodies/<sha256> for bodies, so identical images are stored once.
+ */
+
+// Bodies are stored as axios decoded them; content-encoding is kept so a replay sees the same headers
+const KEPT_HEADERS = [
+  "content-type",
+  "content-length",
+  "content-encoding",
+  "content-range",
+  "etag",
+  "last-modified",
+  "location",
+];
+
+function sha(value, algo = "sha1") {
+  return crypto.createHash(algo).update(value).digest("hex");
+}
+
+export function cassetteKey(method, url, range = null) {
+  return `${String(method || "GET").toUpperCase()} ${url}${range ? ` [${range}]` : ""}`;
+}
+
+function entryPath(dir, key) {
+  return path.join(dir, `${sha(key).slice(0, 20)}.json`);
+}
+
+/** Save one exchange. `body` is a Buffer or string. */
+export function writeCassetteEntry(dir, { method = "GET", url, range = null }, { status, headers = {}, body = "" }) {
+  const buf = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+  const bodySha = sha(buf, "sha256");
+
+  fs.mkdirSync(path.join(dir, "bodies"), { recursive: true });
+  const bodyFile = path.join(dir, "bodies", bodySha);
+  if (!fs.existsSync(bodyFile)) fs.writeFileSync(bodyFile, buf);
+
+  const kept = {};
+  for (const [k, v] of Object.entries(headers || {})) {
+    if (KEPT_HEADERS.includes(k.toLowerCase()) && v != null) kept[k.toLowerCase()] = String(v);
+  }
+
+  const key = cassetteKey(method, url, range);
+  const entry = { key, method: method.toUpperCase(), url, range, status, headers: kept, body: bodySha };
+  fs.writeFileSync(entryPath(dir, key), JSON.stringify(entry, null, 2));
+  return entry;
+}
+
+/** Recorded exchange for a request; a ranged request falls back to the full-body recording. */
+export function readCassetteEntry(dir, method, url, range = null) {
+  const keys = range ? [cassetteKey(method, url, range), cassetteKey(method, url)] : [cassetteKey(method, url)];
+  for (const key of keys) {
+    const p = entryPath(dir, key);
+    if (!fs.existsSync(p)) continue;
+    const entry = JSON.parse(fs.readFileSync(p, "utf8"));
+    if (entry.key !== key) continue;
+    return { ...entry, data: fs.readFileSync(path.join(dir, "bodies", entry.body)) };
+  }
+  return null;
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === "function") return headers.get(name) ?? null;
+  const hit = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase());
+  return hit ? headers[hit] : null;
+}
+
+function shapeData(buf, responseType) {
+  if (responseType === "stream") return Readable.from([buf]);
+  if (responseType === "arraybuffer") return buf;
+  return buf.toString("utf8");
+}
+
+function settle(config, response) {
+  const valid = !config.validateStatus || config.validateStatus(response.status);
+  if (valid) return response;
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+}
+
+async function bufferData(data) {
+  if (data == null) return Buffer.alloc(0);
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (typeof data.pipe === "function") {
+    const chunks = [];
+    for await (const chunk of data) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+  }
+  return Buffer.from(typeof data === "string" ? data : JSON.stringify(data));
+}
+
+/** axios adapter for `mode` "record" or "replay" backed by cassette directory `dir`. */
+export function createCassetteAdapter({ mode, dir }) {
+  if (!["record", "replay"].includes(mode)) throw new Error(`Unknown cassette mode "${mode}"`);
+  if (!dir) throw new Error("Cassette directory is required");
+
+  const networkAdapter = axios.getAdapter(axios.defaults.adapter);
+
+  return async function cassetteAdapter(config) {
+    const method = String(config.method || "get").toUpperCase();
+    const range = headerValue(config.headers, "Range");
+
+    if (mode === "replay") {
+      const entry = readCassetteEntry(dir, method, config.url, range);
+      const response = {
+        data: shapeData(entry ? entry.data : Buffer.alloc(0), config.responseType),
+        status: entry ? entry.status : 404,
+        statusText: entry ? "" : "Not recorded",
+        headers: new AxiosHeaders(entry ? entry.headers : {}),
+        config,
+        request: {},
+      };
+      return settle(config, response);
+    }
+
+    // record: let the real adapter run, capture the body, hand back an equivalent response
+    const record = async (response) => {
+      const buf = await bufferData(response.data);
+      writeCassetteEntry(
+        dir,
+        { method, url: config.url, range },
+        { status: response.status, headers: response.headers?.toJSON?.() || response.headers, body: buf }
+      );
+      response.data = shapeData(buf, config.responseType);
+      return response;
+    };
+
+    try {
+      return await record(await networkAdapter(config));
+    } catch (e) {
+      if (e?.response) await record(e.response);
+      throw e;
+    }
+  };
+}
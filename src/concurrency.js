@@ -0,0 +1,106 @@
+/**
+ * concurrency.js
+ * - mapLimit(): bounded worker pool that keeps result order.
+ * - createHostLimiter(): per-host politeness (max in-flight requests + minimum
+ *   delay between request starts), shared by every request of a run. A host's
+ *   robots.txt Crawl-delay can only lengthen its delay (see acquire()).
+ */
+
+/** Run `fn(item, index)` over `items` with at most `limit` in flight; results keep input order. */
+export async function mapLimit(items, limit, fn) {
+  const list = [...items];
+  const results = new Array(list.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < list.length) {
+      const i = next++;
+      results[i] = await fn(list[i], i);
+    }
+  }
+
+  const n = Math.max(1, Math.min(limit || 1, list.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return results;
+}
+
+export const DEFAULT_HOST_LIMIT = { maxInFlight: 2, minDelayMs: 250 };
+
+/**
+ * Host rules are keyed by hostname suffix ("kiosko.net" covers es.kiosko.net and
+ * www.kiosko.net); the longest matching key wins and hosts matching the same key
+ * share one bucket. "*" sets the default for everything else (one bucket per host).
+ */
+export function createHostLimiter(rules = {}) {
+  const buckets = new Map();
+  let config = { ...rules };
+
+  function ruleFor(hostname) {
+    const host = String(hostname || "").toLowerCase();
+    let bestKey = null;
+    for (const key of Object.keys(config)) {
+      if (key === "*") continue;
+      const k = key.toLowerCase();
+      if ((host === k || host.endsWith(`.${k}`)) && (!bestKey || k.length > bestKey.length)) bestKey = k;
+    }
+    if (bestKey) return { key: bestKey, limit: { ...DEFAULT_HOST_LIMIT, ...config[bestKey] } };
+    return { key: host, limit: { ...DEFAULT_HOST_LIMIT, ...(config["*"] || {}) } };
+  }
+
+  function bucketFor(hostname) {
+    const { key, limit } = ruleFor(hostname);
+    if (!buckets.has(key)) buckets.set(key, { active: 0, lastStart: 0, queue: [], timer: null, minDelayMs: 0 });
+    const bucket = buckets.get(key);
+    bucket.limit = limit;
+    return bucket;
+  }
+
+  function pump(bucket) {
+    if (bucket.timer) return;
+    while (bucket.queue.length && bucket.active < bucket.limit.maxInFlight) {
+      const wait = bucket.lastStart + Math.max(bucket.limit.minDelayMs, bucket.minDelayMs) - Date.now();
+      if (wait > 0) {
+        bucket.timer = setTimeout(() => {
+          bucket.timer = null;
+          pump(bucket);
+        }, wait);
+        return;
+      }
+      bucket.active++;
+      bucket.lastStart = Date.now();
+      bucket.queue.shift()();
+    }
+  }
+
+  /**
+   * Wait for a slot on the URL's host; resolves to a release() function. `minDelayMs`
+   * (a Crawl-delay) raises the host's delay for the rest of the run.
+   */
+  function acquire(url, { minDelayMs = 0 } = {}) {
+    let hostname = "";
+    try {
+      hostname = new URL(url).hostname;
+    } catch {}
+    const bucket = bucketFor(hostname);
+    bucket.minDelayMs = Math.max(bucket.minDelayMs, minDelayMs || 0);
+
+    return new Promise((resolve) => {
+      bucket.queue.push(() => {
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          bucket.active--;
+          pump(bucket);
+        });
+      });
+      pump(bucket);
+    });
+  }
+
+  function configure(newRules = {}) {
+    config = { ...newRules };
+  }
+
+  return { acquire, configure };
+}
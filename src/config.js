@@ -0,0 +1,133 @@
+import Ajv from "ajv";
+import schema from "./publishers.schema.json" with { type: "json" };
+import aggregatorSchema from "./aggregators.schema.json" with { type: "json" };
+import { AGGREGATORS, aggregatorLang, isMapped } from "./aggregators.js";
+import { listFallbackTypes, listPrimaryMethods } from "./fetchers.js";
+
+/**
+ * config.js
+ * - Checks publishers.json against publishers.schema.json (and aggregators.json against
+ *   its schema), then the rules a schema can't express: unique ids, alias targets,
+ *   registered methods / fallback types, known sources and aggregators, IANA timezones,
+ *   whether an aggregator can back the publisher up, and an honest crawl.userAgent.
+ * - errors are hard (build.js refuses to scrape); warnings only cost a publisher
+ *   its aggregator fallbacks, so a run still goes ahead.
+ */
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(schema);
+const validateAggregators = ajv.compile(aggregatorSchema);
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "/publishers/3/primary/method" -> "marca: /primary/method"
+function schemaErrorMessage(err, publishers) {
+  const m = err.instancePath.match(/^\/publishers\/(\d+)(\/.*)?$/);
+  const where = m ? `${publishers[Number(m[1])]?.id || `publishers[${m[1]}]`}: ${m[2] || "/"}` : err.instancePath || "/";
+  const extra = err.params?.additionalProperty ? ` "${err.params.additionalProperty}"` : "";
+  return `${where} ${err.message}${extra}`;
+}
+
+function checkAggregators(aggregators) {
+  const errors = [];
+  if (!validateAggregators({ aggregators })) {
+    for (const err of validateAggregators.errors) errors.push(`aggregators.json: ${err.instancePath || "/"} ${err.message}`);
+  }
+  for (const a of aggregators) {
+    if (!a.dateRegex) continue;
+    try {
+      new RegExp(a.dateRegex);
+    } catch (e) {
+      errors.push(`aggregators.json: ${a.id} dateRegex: ${e.message}`);
+    }
+  }
+  return errors;
+}
+
+// Sites must be able to tell who is crawling and how to reach them
+function checkUserAgent(userAgent) {
+  if (typeof userAgent !== "string") return [];
+  const errors = [];
+  if (/^Mozilla\//i.test(userAgent)) errors.push(`crawl.userAgent: "${userAgent}" poses as a browser`);
+  if (!/https?:\/\/|mailto:|@/.test(userAgent)) errors.push(`crawl.userAgent: "${userAgent}" has no contact URL or email`);
+  return errors;
+}
+
+/**
+ * Check a parsed publishers.json (and the aggregator definitions it relies on);
+ * returns { errors: string[], warnings: string[] }.
+ */
+export function checkConfig(config, { aggregators = AGGREGATORS } = {}) {
+  const errors = checkAggregators(aggregators);
+  const warnings = [];
+  const publishers = Array.isArray(config?.publishers) ? config.publishers : [];
+
+  if (!validateSchema(config)) {
+    for (const err of validateSchema.errors) errors.push(schemaErrorMessage(err, publishers));
+  }
+  errors.push(...checkUserAgent(config?.crawl?.userAgent));
+
+  const byId = new Map();
+  for (const p of publishers) {
+    if (byId.has(p.id)) errors.push(`${p.id}: duplicate publisher id`);
+    else byId.set(p.id, p);
+  }
+
+  const methods = listPrimaryMethods();
+  const fallbackTypes = listFallbackTypes();
+  const sources = ["today.json", ...aggregators.map((a) => a.id), "primary", "special", "fallbacks"];
+  const aggregatorIds = aggregators.map((a) => a.id);
+
+  for (const p of publishers) {
+    if (p.type === "alias" || p.primary?.method === "alias") {
+      const target = byId.get(p.aliasOf);
+      if (!target) errors.push(`${p.id}: aliasOf "${p.aliasOf}" does not exist`);
+      else if (target.type === "alias") errors.push(`${p.id}: aliasOf "${p.aliasOf}" is itself an alias`);
+    }
+
+    if (p.primary?.method && !methods.includes(p.primary.method)) {
+      errors.push(`${p.id}: unknown primary.method "${p.primary.method}" (known: ${methods.join(", ")})`);
+    }
+    for (const fb of p.fallbacks || []) {
+      if (!fallbackTypes.includes(fb.type)) {
+        errors.push(`${p.id}: unknown fallback type "${fb.type}" (known: ${fallbackTypes.join(", ")})`);
+      }
+    }
+
+    for (const name of p.sources || []) {
+      if (!sources.includes(name)) errors.push(`${p.id}: unknown source "${name}" (known: ${sources.join(", ")})`);
+    }
+    for (const id of Object.keys(p.slugs || {})) {
+      if (!aggregatorIds.includes(id)) {
+        errors.push(`${p.id}: slugs for unknown aggregator "${id}" (known: ${aggregatorIds.join(", ")})`);
+      }
+    }
+
+    if (typeof p.timezone === "string" && !isValidTimezone(p.timezone)) {
+      errors.push(`${p.id}: "${p.timezone}" is not an IANA timezone`);
+    }
+
+    // Aliases borrow their target's covers; disabled publishers never run
+    if (p.type === "alias" || !p.enabled) continue;
+    const used = aggregators.filter((a) => !p.sources || p.sources.includes(a.id));
+    for (const a of used) {
+      if (aggregatorLang(a, p) === null) {
+        const known = Object.keys(a.languages).join(", ");
+        warnings.push(`${p.id}: country "${p.country}" has no ${a.name} edition (known: ${known})`);
+      }
+    }
+    if (used.length && !used.some((a) => isMapped(a, p))) {
+      const names = used.map((a) => a.name).join(" or ");
+      warnings.push(`${p.id}: no ${names} mapping; aggregators only try guessed slugs`);
+    }
+  }
+
+  return { errors, warnings };
+}
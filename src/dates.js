@@ -0,0 +1,63 @@
+/**
+ * dates.js
+ * - Calendar-date helpers (YYYY-MM-DD strings) shared by the scraper.
+ * - Timezone conversion uses Intl, so any IANA zone from publishers.json works.
+ */
+
+const partsFormatters = new Map();
+
+function zonedParts(date, timeZone) {
+  const key = timeZone || "UTC";
+  if (!partsFormatters.has(key)) {
+    partsFormatters.set(
+      key,
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone: key,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+  const parts = {};
+  for (const p of partsFormatters.get(key).formatToParts(date)) parts[p.type] = p.value;
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: parseInt(parts.hour, 10) };
+}
+
+/** Calendar date (YYYY-MM-DD) of `date` as seen in `timeZone`. */
+export function formatDateInTimezone(date, timeZone) {
+  const d = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(d.getTime())) return null;
+  return zonedParts(d, timeZone).date;
+}
+
+export function isDateString(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(s || ""))) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().startsWith(s);
+}
+
+/** Shift a YYYY-MM-DD date by `days` (calendar arithmetic, no timezone involved). */
+export function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+}
+
+/**
+ * Edition date for a publisher at instant `now`: the calendar date in the
+ * publisher's timezone, moved back one day while the local hour is still
+ * before the cutover hour (e.g. 5 = "before 05:00 the new edition is not out yet").
+ * An explicit `override` date wins for every publisher.
+ */
+export function resolveEditionDate(publisher, { now = new Date(), override = null, cutoverHour = 0 } = {}) {
+  if (override) return override;
+
+  const timeZone = publisher?.timezone || "UTC";
+  const hourLimit = publisher?.editionCutoverHour ?? cutoverHour ?? 0;
+  const local = zonedParts(now, timeZone);
+
+  return local.hour < hourLimit ? addDays(local.date, -1) : local.date;
+}
@@ -0,0 +1,181 @@
+import fs from "fs";
+import path from "path";
+import { groupSlug } from "./api.js";
+import { writeFileAtomic, writeJsonAtomic } from "./atomic.js";
+import { absoluteUrl } from "./attribution.js";
+import { formatDateInTimezone } from "./dates.js";
+import { archiveDaysFor, retentionCutoff } from "./retention.js";
+
+/**
+ * feeds.js
+ * - Atom and JSON Feed (1.1) subscriptions to new covers, regenerated after each run:
+ *
+ *   <dir>/all.atom, all.json                     every publisher
+ *   <dir>/groups/<group>.atom, .json             one groupLabel ("spain", "uk-back-pages", ...)
+ *   <dir>/publishers/<id>.atom, .json            one publisher
+ *
+ * - One entry per cover: the today.json records the history accumulates, with an image
+ *   and inside the publisher's legal.archiveDays window (older covers have no thumbnail
+ *   left to show, so feeds never reach further back than the archive).
+ * - Entry ids are the record ids (<publisherId>-<date>), so a re-scraped day updates
+ *   its entry instead of adding one. Every entry links the publisher's source.
+ * - Links are absolute when site.baseUrl is set in publishers.json, else relative to the site root.
+ */
+
+const MIME_TYPES = { ".webp": "image/webp", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png" };
+
+function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// site.baseUrl is the site root, with or without a trailing slash; without it links stay relative
+function siteLink(url, baseUrl) {
+  const base = baseUrl ? baseUrl.replace(/\/?$/, "/") : undefined;
+  return absoluteUrl(url, base) || url || null;
+}
+
+function mimeType(url) {
+  return MIME_TYPES[path.extname(String(url || "").split("?")[0]).toLowerCase()] || "image/jpeg";
+}
+
+function entryTitle(record) {
+  const title = `${record.publisherName} – ${record.date}`;
+  return record.headline ? `${title}: ${record.headline}` : title;
+}
+
+function newestFirst(a, b) {
+  return String(b.date).localeCompare(String(a.date)) || String(b.scrapedAt).localeCompare(String(a.scrapedAt));
+}
+
+// Feed entries from history records: covers with an image, newest first, inside the retention window
+export function feedEntries(history, { publishers = [], legal = {}, now = new Date(), baseUrl = "" } = {}) {
+  const byId = new Map(publishers.map((p) => [p.id, p]));
+  const today = formatDateInTimezone(now, "UTC");
+
+  return history
+    .filter((r) => {
+      const publisher = byId.get(r.publisherId);
+      if (!publisher?.enabled || !r.imageMediumUrl || r.error) return false;
+      // no_issue days repeat the current issue's cover; the entry for that issue already has it
+      if (r.status === "no_issue") return false;
+      const days = archiveDaysFor(publisher, legal);
+      return !days || r.date >= retentionCutoff(today, days);
+    })
+    .sort(newestFirst)
+    .map((r) => ({
+      id: r.id,
+      publisherId: r.publisherId,
+      groupLabel: r.groupLabel || byId.get(r.publisherId).groupLabel || "",
+      title: entryTitle(r),
+      author: r.publisherName,
+      date: r.date,
+      updated: r.scrapedAt || `${r.date}T00:00:00.000Z`,
+      image: siteLink(r.imageMediumUrl, baseUrl),
+      thumbnail: siteLink(r.imageSmallUrl || r.imageMediumUrl, baseUrl),
+      sourceUrl: siteLink(r.sourceUrl, baseUrl),
+      rights: r.attribution?.copyright || null,
+    }));
+}
+
+function entryHtml(entry) {
+  const name = escapeXml(entry.rights || entry.author);
+  const source = entry.sourceUrl
+    ? `<p>Source: <a href="${escapeXml(entry.sourceUrl)}">${name}</a></p>`
+    : `<p>Source: ${name}</p>`;
+  return `<p><img src="${escapeXml(entry.image)}" alt="${escapeXml(entry.title)}"></p>${source}`;
+}
+
+/** Atom 1.0 document; `feed` is { id, title, selfUrl, homeUrl, updated } */
+export function renderAtom(feed, entries) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <updated>${escapeXml(feed.updated)}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+  ];
+  for (const e of entries) {
+    lines.push(
+      "  <entry>",
+      `    <id>urn:sportscovers:${escapeXml(e.id)}</id>`,
+      `    <title>${escapeXml(e.title)}</title>`,
+      `    <updated>${escapeXml(e.updated)}</updated>`,
+      `    <author><name>${escapeXml(e.author)}</name></author>`,
+      ...(e.rights ? [`    <rights>${escapeXml(e.rights)}</rights>`] : []),
+      `    <link rel="alternate" type="${mimeType(e.image)}" href="${escapeXml(e.image)}"/>`,
+      `    <link rel="enclosure" type="${mimeType(e.thumbnail)}" href="${escapeXml(e.thumbnail)}"/>`,
+      ...(e.sourceUrl ? [`    <link rel="via" href="${escapeXml(e.sourceUrl)}"/>`] : []),
+      `    <category term="${escapeXml(e.groupLabel)}"/>`,
+      `    <content type="html">${escapeXml(entryHtml(e))}</content>`,
+      "  </entry>"
+    );
+  }
+  lines.push("</feed>", "");
+  return lines.join("\n");
+}
+
+/** JSON Feed 1.1 document, same `feed` as renderAtom (selfUrl points at the .json file). */
+export function renderJsonFeed(feed, entries) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    items: entries.map((e) => ({
+      id: e.id,
+      url: e.image,
+      ...(e.sourceUrl ? { external_url: e.sourceUrl } : {}),
+      title: e.title,
+      content_html: entryHtml(e),
+      image: e.thumbnail,
+      date_published: e.updated,
+      authors: [{ name: e.author, ...(e.sourceUrl ? { url: e.sourceUrl } : {}) }],
+      tags: [e.groupLabel].filter(Boolean),
+      attachments: [{ url: e.thumbnail, mime_type: mimeType(e.thumbnail) }],
+    })),
+  };
+}
+
+/**
+ * Replace `dir` with every feed built from `history`; returns the number of feeds
+ * (each written as .atom and .json). `site` is publishers.json's { title, baseUrl }.
+ */
+export function writeFeeds(dir, { history = [], publishers = [], legal = {}, site = {}, now = new Date() }) {
+  const baseUrl = site.baseUrl || "";
+  const siteTitle = site.title || "Sports covers";
+  const entries = feedEntries(history, { publishers, legal, now, baseUrl });
+  const enabled = publishers.filter((p) => p.enabled);
+
+  const feeds = [{ rel: "all", title: siteTitle, entries }];
+  for (const label of [...new Set(enabled.map((p) => p.groupLabel).filter(Boolean))]) {
+    const rel = `groups/${groupSlug(label)}`;
+    feeds.push({ rel, title: `${siteTitle}: ${label}`, entries: entries.filter((e) => e.groupLabel === label) });
+  }
+  for (const p of enabled) {
+    const own = entries.filter((e) => e.publisherId === p.id);
+    feeds.push({ rel: `publishers/${p.id}`, title: `${siteTitle}: ${p.name}`, entries: own });
+  }
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  // `dir` sits at the site root (docs/feeds)
+  const feedsRoot = siteLink(`./${path.basename(dir)}/`, baseUrl);
+  for (const { rel, title, entries: items } of feeds) {
+    const feed = {
+      id: `urn:sportscovers:feed:${rel}`,
+      title,
+      homeUrl: baseUrl || "./",
+      updated: items[0]?.updated || now.toISOString(),
+    };
+    const file = path.join(dir, rel);
+    writeFileAtomic(`${file}.atom`, renderAtom({ ...feed, selfUrl: `${feedsRoot}${rel}.atom` }, items));
+    const jsonFeed = renderJsonFeed({ ...feed, selfUrl: `${feedsRoot}${rel}.json` }, items);
+    writeJsonAtomic(`${file}.json`, jsonFeed);
+  }
+  return feeds.length;
+}
@@ -1,16 +1,49 @@
 import axios from "axios";
 import * as cheerio from "cheerio";
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 import { pipeline } from "stream/promises";
+import { nitterUrlForProfile, parseNitterTimeline, pickEditionPost } from "./social.js";
+import { DEFAULT_STALE_CHECK, checkStale } from "./phash.js";
+import {
+  IMAGE_EXTENSIONS,
+  derivativeFiles,
+  generateDerivatives,
+  incompleteImageReason,
+  sniffImageType,
+} from "./images.js";
+import { createHostLimiter, mapLimit } from "./concurrency.js";
+import { createHttpCache } from "./httpcache.js";
+import { createCassetteAdapter } from "./cassette.js";
+import { createRobotsPolicy } from "./robots.js";
+import { finishSource, finishTrace, traceAttempt, traceDetail, traceSource } from "./trace.js";
+import {
+  AGGREGATORS,
+  aggregatorLang,
+  aggregatorSlugs,
+  dateVars,
+  defaultSourceOrder,
+  extractDateFromUrl,
+  fillTemplate,
+  getAggregator,
+  normalizeText,
+  uniqueStrings,
+} from "./aggregators.js";
 
 /**
  * fetchers.js
  * - Fetch cover images for publishers (sports newspapers).
- * - Sources: kiosko.net (direct CDN + NP + daily HTML), frontpages.com, publisher primary/fallbacks.
- * - Writes docs/data/today.json after success (CI compatible).
- *
- * IMPORTANT: This file defines extractKioskoDateFromUrl() ONLY ONCE.
+ * - Sources: today.json, aggregators (kiosko.net, frontpages.com, ... declared in
+ *   aggregators.json), publisher primary/fallbacks. A publisher's `sources` picks and orders them.
+ * - Primary sources are resolved through a method registry (see registerPrimaryMethod).
+ * - fetchCover() saves the image files and returns what it found; the records
+ *   (today.json, history) are build.js's, through store.js.
+ * - Saved covers are re-encoded into small/medium(/large) WebP derivatives (images.js).
+ * - Every request identifies the project (crawl.userAgent) and asks robots.txt first
+ *   (robots.js); a blocked fetch fails with ROBOTS_BLOCKED and is reported per fetchCover()
+ *   call (`blocked`) and per run (blockedFetches()).
  */
 
 const DEBUG = process.env.COVER_SCRAPER_DEBUG === "1";
@@ -18,14 +51,14 @@ function debug(...args) {
   if (DEBUG) console.log(...args);
 }
 
-const USER_AGENT =
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36";
+// Honest and reachable: sites can see who is crawling and how to get in touch
+export const DEFAULT_USER_AGENT = "sportscovers-data/1.0 (+https://github.com/carlos-ferrer-fernandez/sportscovers-data)";
 
 const http = axios.create({
   timeout: 25000,
   maxRedirects: 5,
   headers: {
-    "User-Agent": USER_AGENT,
+    "User-Agent": process.env.CRAWL_USER_AGENT || DEFAULT_USER_AGENT,
     Accept:
       "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,image/*,*/*;q=0.8",
     "Accept-Language": "en-US,en;q=0.9,es;q=0.8,fr;q=0.8,it;q=0.8,pt;q=0.8,de;q=0.8",
@@ -35,6 +68,107 @@ const http = axios.create({
   validateStatus: (s) => (s >= 200 && s < 300) || s === 304,
 });
 
+/* --------------------------
+   Per-host rate limiting (every request through `http`)
+-------------------------- */
+
+const DEFAULT_HOST_RULES = {
+  "img.kiosko.net": { maxInFlight: 4, minDelayMs: 100 },
+  "kiosko.net": { maxInFlight: 2, minDelayMs: 400 },
+  "frontpages.com": { maxInFlight: 3, minDelayMs: 250 },
+  "*": { maxInFlight: 2, minDelayMs: 250 },
+};
+
+// Parallel probes per source; the host limiter still caps what actually goes out
+const PROBE_CONCURRENCY = 6;
+
+const hostLimiter = createHostLimiter(DEFAULT_HOST_RULES);
+// Nothing goes out while a cassette replays (useCassette), so no host is rate limited
+const REPLAY_HOST_RULES = { "*": { maxInFlight: 64, minDelayMs: 0 } };
+let hostRules = DEFAULT_HOST_RULES;
+let replaying = false;
+
+/**
+ * Replace the per-host rules (publishers.json `crawl.hosts`); unspecified hosts use "*".
+ * During a replay they are kept for when it ends.
+ */
+export function configureHostLimits(rules) {
+  hostRules = { ...DEFAULT_HOST_RULES, ...(rules || {}) };
+  hostLimiter.configure(replaying ? REPLAY_HOST_RULES : hostRules);
+}
+
+/* --------------------------
+   robots.txt (robots.js)
+-------------------------- */
+
+export const ROBOTS_BLOCKED = "ROBOTS_BLOCKED";
+
+const robots = createRobotsPolicy({
+  userAgent: http.defaults.headers["User-Agent"],
+  fetchRobots: async (url) => {
+    const res = await http.get(url, { responseType: "text", validateStatus: () => true, skipRobots: true });
+    return { status: res.status, text: typeof res.data === "string" ? res.data : String(res.data ?? "") };
+  },
+});
+
+// Blocked URLs of the whole run, and of the fetchCover() call a request belongs to
+const blockedLog = new Map();
+const fetchScope = new AsyncLocalStorage();
+
+function noteBlocked(url, rule) {
+  const entry = { url, rule };
+  if (!blockedLog.has(url)) blockedLog.set(url, entry);
+  noteScopedBlock(entry);
+  const e = new Error(`Blocked by robots.txt: ${url} (${rule})`);
+  e.code = ROBOTS_BLOCKED;
+  e.robots = entry;
+  return e;
+}
+
+// The block is carried on the error (`err.robots`): a fetchCover() awaiting a request
+// another publisher started (shared by httpCache) reports it too
+function noteScopedBlock(entry) {
+  const scoped = fetchScope.getStore();
+  if (entry && scoped && !scoped.some((b) => b.url === entry.url)) scoped.push(entry);
+}
+
+/**
+ * Crawling policy (publishers.json `crawl`): `userAgent` (CRAWL_USER_AGENT wins) and
+ * `robots`: { enabled, maxCrawlDelayMs }.
+ */
+export function configureCrawlPolicy({ userAgent = null, robots: rules = {} } = {}) {
+  const ua = process.env.CRAWL_USER_AGENT || userAgent || DEFAULT_USER_AGENT;
+  http.defaults.headers["User-Agent"] = ua;
+  robots.configure({ userAgent: ua, ...rules });
+}
+
+/** Every fetch robots.txt has blocked in this process: [{ url, rule }]. */
+export function blockedFetches() {
+  return [...blockedLog.values()];
+}
+
+http.interceptors.request.use(async (config) => {
+  let crawlDelayMs = null;
+  if (!config.skipRobots) {
+    const verdict = await robots.check(config.url);
+    if (!verdict.allowed) throw noteBlocked(config.url, verdict.rule);
+    crawlDelayMs = verdict.crawlDelayMs;
+  }
+  config.releaseHostSlot = await hostLimiter.acquire(config.url, { minDelayMs: crawlDelayMs });
+  return config;
+});
+
+http.interceptors.response.use(
+  (res) => {
+    res.config?.releaseHostSlot?.();
+    return res;
+  },
+  (err) => {
+    err?.config?.releaseHostSlot?.();
+    throw err;
+  }
+);
+
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
@@ -47,7 +181,7 @@ async function withRetry(fn, { tries = 3, baseDelayMs = 650 } = {}) {
     } catch (e) {
       last = e;
       const status = e?.response?.status;
-      const retriable = !status || status === 429 || (status >= 500 && status <= 599);
+      const retriable = e?.code !== ROBOTS_BLOCKED && (!status || status === 429 || (status >= 500 && status <= 599));
       if (!retriable || i === tries - 1) break;
       await sleep(baseDelayMs * Math.pow(2, i));
     }
@@ -55,6 +189,7 @@ async function withRetry(fn, { tries = 3, baseDelayMs = 650 } = {}) {
   throw last;
 }
 
+// Failures become null; a robots.txt block is still reported (noteBlocked)
 async function safe(promise) {
   try {
     return await promise;
@@ -76,7 +211,7 @@ function normalizeUrl(raw, baseUrl) {
   }
 }
 
-function pickBestFromSrcset(srcset, baseUrl) {
+export function pickBestFromSrcset(srcset, baseUrl) {
   try {
     const parts = srcset
       .split(",")
@@ -110,29 +245,72 @@ function uniqueByUrl(list) {
   });
 }
 
-async function fetchHtml(url) {
-  const { data } = await withRetry(
-    () =>
-      http.get(url, {
-        headers: {
-          Cookie: "euconsent-v2=ACCEPTED",
-          Accept:
-            "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8",
-        },
-      }),
-    { tries: 3, baseDelayMs: 700 }
-  );
-  return data;
+/* --------------------------
+   Shared response cache (fetchHtml + probeImage)
+-------------------------- */
+
+const httpCache = createHttpCache({ dir: process.env.HTTP_CACHE_DIR || null });
+
+async function cachedGet(key, doRequest) {
+  try {
+    return await httpCache.get(key, doRequest);
+  } catch (e) {
+    noteScopedBlock(e?.robots);
+    throw e;
+  }
+}
+
+/** Enable/disable the persistent disk layer (publishers.json `crawl.cacheDir`). */
+export function configureHttpCache({ dir = null } = {}) {
+  httpCache.configure({ dir: process.env.HTTP_CACHE_DIR || dir || null });
+}
+
+export function httpCacheStats() {
+  return { ...httpCache.stats };
 }
 
 /* --------------------------
-   ONE AND ONLY ONE kiosko date parser
+   Record / replay (cassette.js)
 -------------------------- */
-function extractKioskoDateFromUrl(u) {
-  // https://img.kiosko.net/2025/12/27/es/marca.750.jpg
-  const m = String(u || "").match(/img\.kiosko\.net\/(\d{4})\/(\d{2})\/(\d{2})\//i);
-  if (!m) return null;
-  return `${m[1]}-${m[2]}-${m[3]}`;
+
+const networkAdapter = http.defaults.adapter;
+
+/**
+ * Route every request of the shared `http` instance through a cassette:
+ * useCassette({ mode: "record" | "replay", dir }), or useCassette(null) for live traffic.
+ * Replay also lifts the host rate limits until it ends, over any configureHostLimits()
+ * (nothing goes out), and starts from an empty response cache so earlier requests in the
+ * process cannot leak into the replay.
+ */
+export function useCassette(options) {
+  httpCache.clear();
+  robots.clear();
+  replaying = options?.mode === "replay";
+  http.defaults.adapter = options ? createCassetteAdapter(options) : networkAdapter;
+  hostLimiter.configure(replaying ? REPLAY_HOST_RULES : hostRules);
+}
+
+// HTTP_CASSETTE_MODE=record|replay HTTP_CASSETTE_DIR=<dir> node src/build.js
+if (process.env.HTTP_CASSETTE_MODE) {
+  useCassette({ mode: process.env.HTTP_CASSETTE_MODE, dir: process.env.HTTP_CASSETTE_DIR });
+}
+
+async function fetchHtml(url) {
+  const { data } = await cachedGet(`GET ${url}`, (conditional) =>
+    withRetry(
+      () =>
+        http.get(url, {
+          responseType: "arraybuffer",
+          headers: {
+            Accept:
+              "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8",
+            ...conditional,
+          },
+        }),
+      { tries: 3, baseDelayMs: 700 }
+    )
+  );
+  return data.toString("utf8");
 }
 
 /* --------------------------
@@ -144,7 +322,14 @@ function parseContentRangeTotal(cr) {
   return m ? parseInt(m[1], 10) : null;
 }
 
-function getPngSize(buf) {
+// Content-Length of the body we read, or null: axios decodes gzip / br but keeps the encoded length
+function decodedContentLength(headers) {
+  const encoding = String(headers["content-encoding"] || "identity").toLowerCase();
+  if (encoding !== "identity" || !headers["content-length"]) return null;
+  return parseInt(headers["content-length"], 10);
+}
+
+export function getPngSize(buf) {
   if (buf.length < 24) return null;
   const sig = buf.slice(0, 8).toString("hex");
   if (sig !== "89504e470d0a1a0a") return null;
@@ -152,7 +337,7 @@ function getPngSize(buf) {
   return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
 }
 
-function getJpegSize(buf) {
+export function getJpegSize(buf) {
   if (buf.length < 4) return null;
   if (buf[0] !== 0xff || buf[1] !== 0xd8) return null;
 
@@ -188,18 +373,22 @@ function getJpegSize(buf) {
   return null;
 }
 
-function getWebpSize(buf) {
+export function getWebpSize(buf) {
   if (buf.length < 30) return null;
   if (buf.slice(0, 4).toString("ascii") !== "RIFF") return null;
   if (buf.slice(8, 12).toString("ascii") !== "WEBP") return null;
 
-  for (let i = 12; i + 16 < buf.length; i++) {
-    const tag = buf.slice(i, i + 4).toString("ascii");
-    if (tag === "VP8X" && i + 14 < buf.length) {
-      const w = 1 + (buf[i + 8] | (buf[i + 9] << 8) | (buf[i + 10] << 16));
-      const h = 1 + (buf[i + 11] | (buf[i + 12] << 8) | (buf[i + 13] << 16));
-      return { width: w, height: h };
-    }
+  // The first chunk carries the canvas size; its payload starts at byte 20
+  const tag = buf.slice(12, 16).toString("ascii");
+  if (tag === "VP8X") {
+    return { width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+  }
+  if (tag === "VP8 " && buf[23] === 0x9d && buf[24] === 0x01 && buf[25] === 0x2a) {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (tag === "VP8L" && buf[20] === 0x2f) {
+    const bits = buf.readUInt32LE(21);
+    return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
   }
   return null;
 }
@@ -213,18 +402,22 @@ function getImageSizeFromBuffer(contentType, buf) {
 }
 
 async function probeImage(url, referer) {
-  const res = await withRetry(
-    () =>
-      http.get(url, {
-        responseType: "arraybuffer",
-        headers: {
-          ...(referer ? { Referer: referer } : {}),
-          Range: "bytes=0-65535",
-          Accept: "image/avif,image/webp,image/apng,image/*,*/*;q=0.8",
-        },
-        validateStatus: (s) => s === 200 || s === 206,
-      }),
-    { tries: 3, baseDelayMs: 500 }
+  // Keyed without the referer: the same image probed from two pages is one request
+  const res = await cachedGet(`PROBE ${url}`, (conditional) =>
+    withRetry(
+      () =>
+        http.get(url, {
+          responseType: "arraybuffer",
+          headers: {
+            ...(referer ? { Referer: referer } : {}),
+            Range: "bytes=0-65535",
+            Accept: "image/avif,image/webp,image/apng,image/*,*/*;q=0.8",
+            ...conditional,
+          },
+          validateStatus: (s) => s === 200 || s === 206 || s === 304,
+        }),
+      { tries: 3, baseDelayMs: 500 }
+    )
   );
 
   const ct = String(res.headers["content-type"] || "").toLowerCase();
@@ -234,9 +427,7 @@ async function probeImage(url, referer) {
   const buf = Buffer.from(res.data);
   if (buf.length < 8000) throw new Error(`Image probe too small (${buf.length} bytes)`);
 
-  const totalBytes =
-    parseContentRangeTotal(res.headers["content-range"]) ||
-    (res.headers["content-length"] ? parseInt(res.headers["content-length"], 10) : null);
+  const totalBytes = parseContentRangeTotal(res.headers["content-range"]) || decodedContentLength(res.headers);
 
   const size = getImageSizeFromBuffer(ct, buf) || null;
 
@@ -248,24 +439,30 @@ async function probeImage(url, referer) {
   };
 }
 
-function scoreCoverCandidate(url, meta, source = "") {
+/**
+ * Score a probed candidate rule by rule: returns [{ rule, points }] for every rule
+ * that fired. scoreCoverCandidate() is the sum; traces keep the breakdown.
+ */
+export function scoreBreakdown(url, meta, source = "") {
   const lu = (url || "").toLowerCase();
-  let s = 0;
+  const out = [];
+  const add = (rule, points) => out.push({ rule, points });
 
-  if (String(source).startsWith("today.json")) s += 200;
+  if (String(source).startsWith("today.json")) add("known-good today.json entry", 200);
 
   const bad = ["logo", "favicon", "sprite", "icon", "avatar", "profile", "ads", "banner", "placeholder"];
-  if (bad.some((k) => lu.includes(k))) s -= 200;
+  const badWord = bad.find((k) => lu.includes(k));
+  if (badWord) add(`URL contains "${badWord}"`, -200);
 
-  if (lu.includes("img.kiosko.net")) s += 120;
-  if (lu.includes("wp-content/uploads")) s += 15;
-  if (lu.includes("frontpage") || lu.includes("portada") || lu.includes("cover")) s += 10;
+  for (const a of AGGREGATORS) if (a.cdn && lu.includes(a.cdn.host)) add(`${a.name} CDN`, a.cdn.points);
+  if (lu.includes("wp-content/uploads")) add("wp-content upload", 15);
+  if (lu.includes("frontpage") || lu.includes("portada") || lu.includes("cover")) add("cover word in URL", 10);
 
   if (meta?.bytes) {
-    if (meta.bytes > 900000) s += 35;
-    else if (meta.bytes > 400000) s += 25;
-    else if (meta.bytes > 150000) s += 12;
-    else if (meta.bytes < 40000) s -= 20;
+    if (meta.bytes > 900000) add("bytes > 900 KB", 35);
+    else if (meta.bytes > 400000) add("bytes > 400 KB", 25);
+    else if (meta.bytes > 150000) add("bytes > 150 KB", 12);
+    else if (meta.bytes < 40000) add("bytes < 40 KB", -20);
   }
 
   if (meta?.width && meta?.height) {
@@ -273,20 +470,83 @@ function scoreCoverCandidate(url, meta, source = "") {
     const h = meta.height;
     const aspect = w / h;
 
-    if (w >= 900 && h >= 1200) s += 60;
-    else if (w >= 700 && h >= 900) s += 40;
-    else if (w >= 500 && h >= 700) s += 20;
-    else s -= 30;
+    if (w >= 900 && h >= 1200) add("size >= 900x1200", 60);
+    else if (w >= 700 && h >= 900) add("size >= 700x900", 40);
+    else if (w >= 500 && h >= 700) add("size >= 500x700", 20);
+    else add("size < 500x700", -30);
 
-    if (aspect >= 0.5 && aspect <= 0.85) s += 40;
-    else if (aspect > 1.2) s -= 60;
+    if (aspect >= 0.5 && aspect <= 0.85) add("portrait aspect (0.5-0.85)", 40);
+    else if (aspect > 1.2) add("landscape aspect (> 1.2)", -60);
 
-    if (w <= 320 || h <= 320) s -= 100;
+    if (w <= 320 || h <= 320) add("side <= 320px", -100);
   }
 
-  if (lu.includes(".jpg") || lu.includes(".jpeg")) s += 5;
+  if (lu.includes(".jpg") || lu.includes(".jpeg")) add("JPEG URL", 5);
 
-  return s;
+  return out;
+}
+
+export function scoreCoverCandidate(url, meta, source = "") {
+  return scoreBreakdown(url, meta, source).reduce((sum, r) => sum + r.points, 0);
+}
+
+// Minimum score per source family; candidates below are not returned by that source.
+// Aggregators set their own (aggregators.json `threshold`).
+const SCORE_THRESHOLDS = { page: 55, todayJson: 90 };
+
+/**
+ * Probe and score one URL, recording the attempt in trace source `st` (see trace.js).
+ * Never throws: resolves to { url, source, probe, score, breakdown, threshold, verdict, reason }.
+ */
+async function probeScored(url, referer, source, { threshold = null, st = null } = {}) {
+  const attempt = { url, source, probe: null, score: null, breakdown: [], threshold, verdict: "rejected", reason: null };
+  try {
+    attempt.probe = await probeImage(url, referer);
+    attempt.breakdown = scoreBreakdown(url, attempt.probe, source);
+    attempt.score = attempt.breakdown.reduce((sum, r) => sum + r.points, 0);
+    if (threshold == null || attempt.score >= threshold) attempt.verdict = "passed";
+    else attempt.reason = `score ${attempt.score} below threshold ${threshold}`;
+  } catch (e) {
+    attempt.reason = `probe failed: ${e?.message || e}`;
+  }
+  traceAttempt(st, attempt);
+  return attempt;
+}
+
+// A URL turned down before probing (e.g. a kiosko CDN path for another day)
+function rejectUnprobed(st, url, source, reason) {
+  traceAttempt(st, { url, source, probe: null, score: null, breakdown: [], threshold: null, verdict: "rejected", reason });
+}
+
+// Passing attempts that lost to `winner` are rejected in the trace, with the reason
+function markOutscored(attempts, winner, why) {
+  for (const a of attempts) {
+    if (a !== winner && a.verdict === "passed") {
+      a.verdict = "rejected";
+      a.reason = `${why}: ${winner.url}`;
+    }
+  }
+}
+
+/** Probe image URLs in parallel and return the best-scoring attempt at or above `threshold`, or null. */
+async function probeBest(urls, referer, source, { threshold, st = null }) {
+  const attempts = await mapLimit(urls, PROBE_CONCURRENCY, (url) => probeScored(url, referer, source, { st }));
+
+  // First best in input order on ties, like the sequential scan did
+  let best = null;
+  for (const a of attempts) if (a.score != null && (!best || a.score > best.score)) best = a;
+
+  for (const a of attempts) {
+    if (a.score == null) continue;
+    a.threshold = threshold;
+    if (a.score < threshold) {
+      a.verdict = "rejected";
+      a.reason = `score ${a.score} below threshold ${threshold}`;
+    }
+  }
+  if (!best || best.score < threshold) return null;
+  markOutscored(attempts, best, "outscored by");
+  return best;
 }
 
 function extFromContentType(contentType) {
@@ -298,6 +558,12 @@ function extFromContentType(contentType) {
   return ".jpg";
 }
 
+/**
+ * Download to `<filepath>.part` and check it: image content-type, size, the byte count
+ * against Content-Length, and format completeness (images.js). Returns
+ * { tmpPath, ext, contentType, sha256, bytes }; the caller renames tmpPath into place.
+ * `ext` comes from the file's magic bytes, not from the URL or the content-type.
+ */
 async function downloadImage(url, filepath, referer) {
   const res = await withRetry(
     () =>
@@ -316,103 +582,44 @@ async function downloadImage(url, filepath, referer) {
   if (!ct.startsWith("image/")) throw new Error(`Download not image (ct=${ct})`);
   if (ct.includes("svg")) throw new Error("SVG rejected");
 
-  await pipeline(res.data, fs.createWriteStream(filepath));
-
-  const stat = fs.statSync(filepath);
-  if (stat.size < 8000) throw new Error(`Downloaded too small (${stat.size})`);
+  const tmpPath = `${filepath}.part`;
+  try {
+    await pipeline(res.data, fs.createWriteStream(tmpPath));
+
+    const buf = fs.readFileSync(tmpPath);
+    if (buf.length < 8000) throw new Error(`Downloaded too small (${buf.length})`);
+
+    const expected = decodedContentLength(res.headers);
+    if (expected && buf.length !== expected) throw new Error(`Truncated download (${buf.length} of ${expected} bytes)`);
+
+    const type = sniffImageType(buf);
+    const incomplete = type && incompleteImageReason(buf, type);
+    if (incomplete) throw new Error(`Truncated download: ${incomplete}`);
+
+    return {
+      tmpPath,
+      ext: IMAGE_EXTENSIONS[type] || extFromContentType(ct),
+      contentType: ct,
+      sha256: crypto.createHash("sha256").update(buf).digest("hex"),
+      bytes: buf.length,
+    };
+  } catch (e) {
+    fs.rmSync(tmpPath, { force: true });
+    throw e;
+  }
+}
 
-  return { contentType: ct };
+// Files of an earlier accepted download of the same day, if every one is still on disk
+function existingFiles(outputDir, dateStr, finalFilename, { derivatives, keepOriginal }) {
+  const files = derivativeFiles(dateStr, derivatives);
+  if (keepOriginal) files.original = finalFilename;
+  return Object.values(files).every((f) => fs.existsSync(path.join(outputDir, f))) ? files : null;
 }
 
 /* --------------------------
-   Kiosko helpers
+   Aggregators (definitions in aggregators.json, see aggregators.js)
 -------------------------- */
 
-const KIOSKO_MAP = {
-  // Spain
-  marca: ["es/marca"],
-  as: ["es/as"],
-  mundodeportivo: ["es/mundodeportivo", "es/mundo_deportivo", "es/mundo-deportivo"],
-  sport: ["es/sport"],
-  lesportiu: ["es/el9", "es/lesportiu", "es/l_esportiu", "es/l-esportiu"],
-  estadiodeportivo: ["es/estadio_deportivo", "es/estadio-deportivo"],
-  superdeporte: ["es/superdeporte", "es/super_deporte"],
-
-  // France
-  lequipe: ["fr/l_equip", "fr/l_equipe", "fr/lequipe", "fr/le_equipe"],
-
-  // Italy
-  gazzetta: ["it/gazzetta_sport", "it/gazzetta-dello-sport"],
-  corriere: ["it/corriere_sport", "it/corriere-dello-sport"],
-  tuttosport: ["it/tuttosport"],
-
-  // Portugal
-  abola: ["pt/abola", "pt/a_bola", "pt/a-bola"],
-  record: ["pt/record"],
-  ojogo: ["pt/ojogo", "pt/o_jogo", "pt/o-jogo"],
-
-  // UK
-  dailystar: ["uk/daily_star"],
-  mirror: ["uk/daily_mirror"],
-  express: ["uk/daily_express"],
-
-  // Germany
-  kicker: ["de/kicker"],
-};
-
-function normalizeText(s) {
-  return String(s || "")
-    .toLowerCase()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/[^a-z0-9]+/g, " ")
-    .trim();
-}
-
-function uniqueStrings(arr) {
-  const out = [];
-  const seen = new Set();
-  for (const x of arr) {
-    const v = String(x || "").trim();
-    if (!v) continue;
-    if (seen.has(v)) continue;
-    seen.add(v);
-    out.push(v);
-  }
-  return out;
-}
-
-function buildKioskoPathKeys(publisherId, publisher) {
-  const langByCountry = { ES: "es", FR: "fr", IT: "it", PT: "pt", UK: "uk", DE: "de" };
-  const lang = langByCountry[publisher?.country] || "es";
-
-  const mapped = KIOSKO_MAP[publisherId] || [];
-
-  const candidates = [];
-  const pid = normalizeText(publisherId).replace(/\s+/g, "");
-  if (pid) {
-    candidates.push(pid);
-    candidates.push(pid.replace(/-/g, "_"));
-    candidates.push(pid.replace(/_/g, ""));
-  }
-
-  const pname = normalizeText(publisher?.name || "");
-  if (pname) {
-    const words = pname.split(" ").filter(Boolean);
-    if (words.length) {
-      candidates.push(words.join("_"));
-      candidates.push(words.join(""));
-      if (words.length >= 2 && words[0].length === 1) {
-        candidates.push(`${words[0]}_${words[1]}`);
-        if (words[1].length >= 4) candidates.push(`${words[0]}_${words[1].slice(0, words[1].length - 1)}`); // l_equip
-      }
-    }
-  }
-
-  const generated = uniqueStrings(candidates).map((slug) => `${lang}/${slug}`);
-  return uniqueStrings([...mapped, ...generated]);
-}
-
 function scoreMatch(publisher, href, alt) {
   const hay = normalizeText(`${href || ""} ${alt || ""}`);
   const pid = normalizeText(publisher.publisherId || publisher.id || "");
@@ -432,90 +639,135 @@ function scoreMatch(publisher, href, alt) {
   return s;
 }
 
-async function fetchKioskoNetDirectByKeys(publisherId, dateStr, publisher) {
-  const [year, month, day] = dateStr.split("-");
-  const sizes = ["2000", "1500", "1200", "1000", "750", "500", "300"];
-  const pathKeys = buildKioskoPathKeys(publisherId, publisher);
-
-  for (const pathKey of pathKeys) {
-    const base = `https://img.kiosko.net/${year}/${month}/${day}/${pathKey}`;
-    for (const size of sizes) {
-      const url = `${base}.${size}.jpg`;
-      try {
-        const meta = await probeImage(url, null);
-        const score = scoreCoverCandidate(url, meta, "kiosko.net(direct)");
-        if (score >= 70) return { url, referer: null, source: "kiosko.net(direct)" };
-      } catch {
-        // next
-      }
-    }
-  }
+// Why `url` cannot be the cover of `dateStr`, or null. Under requireDate an undated URL can't either.
+function dateProblem(url, dateStr, { requireDate = false } = {}) {
+  const urlDate = extractDateFromUrl(url);
+  if (urlDate && urlDate !== dateStr) return `URL date ${urlDate} is not ${dateStr}`;
+  if (!urlDate && requireDate) return `no edition date in URL (need ${dateStr})`;
   return null;
 }
 
-async function fetchKioskoNetNP(publisherId, publisher, dateStr) {
-  // Generate NP slugs from map + variants
-  const keys = buildKioskoPathKeys(publisherId, publisher);
-  if (!keys.length) return null;
+/** Meta tags naming a page's image, in order of trust: aggregator pages and publisher pages alike. */
+export const IMAGE_META_SELECTORS = [
+  "meta[property='og:image']",
+  "meta[property='og:image:url']",
+  "meta[property='og:image:secure_url']",
+  "meta[name='twitter:image']",
+  "meta[name='twitter:image:src']",
+  "link[rel='image_src']",
+];
+
+// Image URLs on an aggregator page: `selectors` first, then (optionally) meta tags and any image URL in the HTML
+function extractImageCandidates($, pageUrl, rawHtml = "", { selectors = [], meta = false, scanHtml = false } = {}) {
+  const out = new Set();
 
-  const langByCountry = { ES: "es", FR: "fr", IT: "it", PT: "pt", UK: "uk", DE: "de" };
-  const primaryLang = langByCountry[publisher?.country] || "es";
+  for (const sel of selectors) {
+    const el = $(sel).first();
+    if (!el.length) continue;
 
-  // NP uses just the slug part
-  const slugs = uniqueStrings(keys.map((k) => k.split("/")[1]).filter(Boolean));
+    const srcset = el.attr("srcset");
+    const best = srcset ? pickBestFromSrcset(srcset, pageUrl) : null;
+    if (best) out.add(best);
 
-  const npUrls = [];
-  for (const slug of slugs) {
-    npUrls.push(`https://${primaryLang}.kiosko.net/${primaryLang}/np/${slug}.html`);
-    npUrls.push(`https://www.kiosko.net/${primaryLang}/np/${slug}.html`);
+    for (const a of ["src", "data-src", "data-lazy-src", "data-original"]) {
+      const u = normalizeUrl(el.attr(a), pageUrl);
+      if (u) out.add(u);
+    }
+  }
+
+  if (meta) {
+    IMAGE_META_SELECTORS.forEach((sel) => {
+      const v = $(sel).attr("content") || $(sel).attr("href");
+      const u = normalizeUrl(v, pageUrl);
+      if (u) out.add(u);
+    });
   }
 
-  for (const pageUrl of npUrls) {
-    const data = await fetchHtml(pageUrl);
-    const $ = cheerio.load(data);
+  if (scanHtml) {
+    const matches =
+      String(rawHtml).match(/https?:\/\/[^"' )]+?\.(?:jpg|jpeg|png|webp|avif)(?:\?[^"') ]*)?/gi) || [];
+    for (const m of matches) out.add(m);
+  }
 
-    const portada = normalizeUrl($("#portada").attr("src"), pageUrl);
-    if (portada) {
-      // strict date for kiosko CDN
-      if (portada.includes("img.kiosko.net")) {
-        const kioskoDate = extractKioskoDateFromUrl(portada);
-        if (kioskoDate && kioskoDate !== dateStr) {
-          // reject yesterday
-        } else {
-          try {
-            const meta = await probeImage(portada, pageUrl);
-            const score = scoreCoverCandidate(portada, meta, "kiosko.net(np:#portada)");
-            if (score >= 70) return { url: portada, referer: pageUrl, source: "kiosko.net(np:#portada)" };
-          } catch {}
-        }
-      } else {
-        try {
-          const meta = await probeImage(portada, pageUrl);
-          const score = scoreCoverCandidate(portada, meta, "kiosko.net(np:#portada)");
-          if (score >= 70) return { url: portada, referer: pageUrl, source: "kiosko.net(np:#portada)" };
-        } catch {}
+  return [...out]
+    .map((u) => normalizeUrl(u, pageUrl))
+    .filter(Boolean)
+    .filter((u) => {
+      const lu = u.toLowerCase();
+      if (lu.includes("favicon") || lu.includes("sprite")) return false;
+      return true;
+    });
+}
+
+// Aggregator pages are guessed from slugs, so a missing one is expected: note it and move on
+async function loadPage(url, ctx) {
+  try {
+    return await fetchHtml(url);
+  } catch (e) {
+    ctx.failedPages.push(`${url} (${e?.response?.status || e?.message || e})`);
+    return null;
+  }
+}
+
+// kind "image": the URL templates are the image; all sizes of a slug in parallel, the largest acceptable one wins
+async function lookupImage(lookup, ctx) {
+  const { aggregator, slugs, vars, source, st } = ctx;
+  for (const slug of slugs) {
+    for (const template of lookup.urls) {
+      const urls = (lookup.sizes || [null]).map((size) => fillTemplate(template, { ...vars, slug, size }));
+      const attempts = await mapLimit(urls, PROBE_CONCURRENCY, (url) =>
+        probeScored(url, null, source, { threshold: aggregator.threshold, st })
+      );
+      const hit = attempts.find((a) => a.verdict === "passed");
+      if (hit) {
+        markOutscored(attempts, hit, "larger size preferred");
+        return { url: hit.url, referer: null, source };
       }
     }
   }
-
   return null;
 }
 
-async function fetchKioskoNetFromDailyHtmlAny(publisher, dateStr) {
-  const langByCountry = { ES: "es", FR: "fr", IT: "it", PT: "pt", UK: "uk", DE: "de" };
-  const primaryLang = langByCountry[publisher.country] || "es";
+// kind "page": one page per slug showing the publisher's cover; candidates come from `selectors` (+ meta / scanHtml)
+async function lookupPage(lookup, ctx) {
+  const { aggregator, slugs, vars, source, dateStr, requireDate, st } = ctx;
+  for (const slug of slugs) {
+    for (const template of lookup.urls) {
+      const pageUrl = fillTemplate(template, { ...vars, slug });
+      const html = await loadPage(pageUrl, ctx);
+      if (html == null) continue;
+
+      const urls = [];
+      for (const url of extractImageCandidates(cheerio.load(html), pageUrl, html, lookup)) {
+        const problem = dateProblem(url, dateStr, { requireDate });
+        if (problem) rejectUnprobed(st, url, source, problem);
+        else urls.push(url);
+      }
 
-  const dayUrls = [
-    `https://${primaryLang}.kiosko.net/${dateStr}/`,
-    `https://www.kiosko.net/${primaryLang}/${dateStr}/`,
-  ];
+      const best = await probeBest(urls.slice(0, lookup.limit || 40), pageUrl, source, {
+        threshold: aggregator.threshold,
+        st,
+      });
+      if (best) return { url: best.url, referer: pageUrl, source };
+    }
+  }
+  return null;
+}
+
+// kind "index": a page of every cover of the day; tiles (`tileSelector` links with an image) are matched by id/name
+async function lookupIndex(lookup, ctx) {
+  const { aggregator, publisher, vars, source, dateStr, requireDate, st } = ctx;
+  const who = { publisherId: publisher.id, publisherName: publisher.name };
+  const minMatch = lookup.minMatch ?? 6;
 
-  for (const dayUrl of dayUrls) {
-    const data = await fetchHtml(dayUrl);
-    const $ = cheerio.load(data);
+  for (const template of lookup.urls) {
+    const indexUrl = fillTemplate(template, vars);
+    const html = await loadPage(indexUrl, ctx);
+    if (html == null) continue;
+    const $ = cheerio.load(html);
 
     const tiles = [];
-    $("a[href$='.html']").each((_, el) => {
+    $(lookup.tileSelector || "a").each((_, el) => {
       const a = $(el);
       const href = a.attr("href") || "";
       const img = a.find("img").first();
@@ -524,278 +776,260 @@ async function fetchKioskoNetFromDailyHtmlAny(publisher, dateStr) {
       const alt = img.attr("alt") || img.attr("title") || a.text() || "";
       const srcset = img.attr("srcset") || "";
       const src = img.attr("src") || img.attr("data-src") || "";
-      const imgUrl = pickBestFromSrcset(srcset, dayUrl) || normalizeUrl(src, dayUrl);
+      const imgUrl = pickBestFromSrcset(srcset, indexUrl) || normalizeUrl(src, indexUrl);
       if (!imgUrl) return;
 
-      tiles.push({ href, alt, imgUrl, dayUrl });
+      tiles.push({ imgUrl, match: scoreMatch(who, href, alt) });
     });
 
-    if (!tiles.length) continue;
-
-    tiles.sort((t1, t2) => {
-      const s1 = scoreMatch({ publisherId: publisher.id, publisherName: publisher.name }, t1.href, t1.alt);
-      const s2 = scoreMatch({ publisherId: publisher.id, publisherName: publisher.name }, t2.href, t2.alt);
-      return s2 - s1;
-    });
+    tiles.sort((t1, t2) => t2.match - t1.match);
 
     for (const t of tiles.slice(0, 10)) {
-      const matchScore = scoreMatch({ publisherId: publisher.id, publisherName: publisher.name }, t.href, t.alt);
-      if (matchScore < 6) continue;
+      if (t.match < minMatch) continue;
 
-      // strict date for kiosko CDN
-      if (t.imgUrl.includes("img.kiosko.net")) {
-        const kioskoDate = extractKioskoDateFromUrl(t.imgUrl);
-        if (kioskoDate && kioskoDate !== dateStr) continue;
+      const problem = dateProblem(t.imgUrl, dateStr, { requireDate });
+      if (problem) {
+        rejectUnprobed(st, t.imgUrl, source, problem);
+        continue;
       }
 
-      try {
-        const meta = await probeImage(t.imgUrl, dayUrl);
-        const score = scoreCoverCandidate(t.imgUrl, meta, "kiosko.net(daily-html)");
-        if (score >= 70) return { url: t.imgUrl, referer: dayUrl, source: "kiosko.net(daily-html)" };
-      } catch {}
+      const hit = await probeScored(t.imgUrl, indexUrl, source, { threshold: aggregator.threshold, st });
+      if (hit.verdict === "passed") return { url: t.imgUrl, referer: indexUrl, source };
     }
   }
-
   return null;
 }
 
-async function fetchKioskoNet(publisherId, dateStr, publisher) {
-  const direct = await safe(fetchKioskoNetDirectByKeys(publisherId, dateStr, publisher));
-  if (direct) return direct;
+const LOOKUPS = { image: lookupImage, page: lookupPage, index: lookupIndex };
+
+/**
+ * Run an aggregator's lookups in order for one publisher-day; the first hit wins.
+ * Candidate source names are "<name>(<label>)", e.g. "kiosko.net(direct)".
+ */
+async function fetchFromAggregator(aggregator, publisher, dateStr, { datedOnly = false, st = null } = {}) {
+  const lang = aggregatorLang(aggregator, publisher);
+  if (lang === null) {
+    traceDetail(st, `no ${aggregator.name} edition for country ${publisher.country}`);
+    return null;
+  }
 
-  const np = publisher ? await safe(fetchKioskoNetNP(publisherId, publisher, dateStr)) : null;
-  if (np) return np;
+  const ctx = {
+    aggregator,
+    publisher,
+    dateStr,
+    requireDate: datedOnly,
+    st,
+    slugs: aggregatorSlugs(aggregator, publisher),
+    vars: { ...dateVars(dateStr), lang, id: publisher.id },
+    failedPages: [],
+  };
 
-  const daily = publisher ? await safe(fetchKioskoNetFromDailyHtmlAny(publisher, dateStr)) : null;
-  if (daily) return daily;
+  for (const lookup of aggregator.lookups) {
+    const source = lookup.label ? `${aggregator.name}(${lookup.label})` : aggregator.name;
+    const hit = await safe(LOOKUPS[lookup.kind](lookup, { ...ctx, source }));
+    if (hit) return hit;
+  }
 
+  if (ctx.failedPages.length) {
+    traceDetail(st, `${ctx.failedPages.length} page(s) failed to load, e.g. ${ctx.failedPages[0]}`);
+  }
   return null;
 }
 
 /* --------------------------
-   today.json integration
+   Known-good covers (the "today.json" source)
 -------------------------- */
 
-function getTodayJsonPath() {
-  // CI-friendly: write into docs/data/today.json inside repo
-  return process.env.TODAY_JSON_PATH || path.resolve(process.cwd(), "docs/data/today.json");
-}
-
-function upsertTodayJsonEntry({ publisher, dateStr, localFile, sourceUrl }) {
-  const todayPath = getTodayJsonPath();
+const IMAGE_URL_FIELDS = {
+  small: "imageSmallUrl",
+  medium: "imageMediumUrl",
+  large: "imageLargeUrl",
+  original: "imageOriginalUrl",
+};
 
-  const countryLower = String(publisher.country || "").toLowerCase();
-  const publisherId = publisher.id;
+/** Record fields (imageSmallUrl, imageMediumUrl, ...) for the files fetchCover() saved. */
+export function imageUrlFields(publisher, files = {}) {
+  const base = `./data/images/${String(publisher.country || "").toLowerCase()}/${publisher.id}`;
+  const out = {};
+  for (const [size, field] of Object.entries(IMAGE_URL_FIELDS)) {
+    if (files[size]) out[field] = `${base}/${files[size]}`;
+  }
+  return out;
+}
 
-  const imageMediumUrl = `./data/images/${countryLower}/${publisherId}/${localFile}`;
+/**
+ * The image already accepted for this publisher-day, as `knownGood(publisherId, dateStr)`
+ * (store.js knownGoodCover) reports it. Re-checked like any candidate, with a head start.
+ */
+async function fetchKnownGoodCover(publisherId, dateStr, knownGood, st = null) {
+  const hit = knownGood ? knownGood(publisherId, dateStr) : null;
+  if (!hit?.sourceUrl) {
+    traceDetail(st, `no known-good ${publisherId} cover for ${dateStr}`);
+    return null;
+  }
 
-  const entry = {
-    id: `${publisherId}-${dateStr}`,
-    publisherId,
-    publisherName: publisher.name,
-    country: publisher.country,
-    groupLabel: publisher.groupLabel || "",
-    date: dateStr,
-    imageMediumUrl,
-    sourceUrl,
-    scrapedAt: new Date().toISOString(),
-  };
+  const imgUrl = normalizeUrl(hit.sourceUrl, "https://img.kiosko.net/");
+  if (!imgUrl) return null;
 
-  let arr = [];
-  if (fs.existsSync(todayPath)) {
-    try {
-      const raw = fs.readFileSync(todayPath, "utf8");
-      const parsed = JSON.parse(raw);
-      arr = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.items) ? parsed.items : [];
-    } catch {
-      arr = [];
-    }
+  // Strict date for date-addressed aggregator URLs
+  const problem = dateProblem(imgUrl, dateStr);
+  if (problem) {
+    rejectUnprobed(st, imgUrl, "today.json", problem);
+    return null;
   }
 
-  // remove old entry for same publisher+date
-  arr = arr.filter((x) => !(x?.publisherId === publisherId && x?.date === dateStr));
-  arr.push(entry);
+  const attempt = await probeScored(imgUrl, null, "today.json", { threshold: SCORE_THRESHOLDS.todayJson, st });
+  if (attempt.verdict !== "passed") return null;
 
-  arr.sort((a, b) => String(a.publisherId).localeCompare(String(b.publisherId)));
+  const { attribution } = hit;
+  return { url: imgUrl, referer: null, source: "today.json", ...(attribution ? { attribution } : {}) };
+}
 
-  fs.mkdirSync(path.dirname(todayPath), { recursive: true });
-  fs.writeFileSync(todayPath, JSON.stringify(arr, null, 2), "utf8");
+/* --------------------------
+   Publisher page scrapers (meta tags + DOM scan)
+-------------------------- */
 
-  return todayPath;
+function selectSafe($, selector) {
+  // Hand-written selectors in publishers.json are not always valid CSS
+  try {
+    return $(selector);
+  } catch (e) {
+    debug("[selector] invalid:", selector, e?.message);
+    return null;
+  }
 }
 
-function findTodayJsonPath(outputDir) {
-  const candidates = [
-    process.env.TODAY_JSON_PATH,
-    path.resolve(process.cwd(), "docs/data/today.json"),
-    path.resolve(outputDir || ".", "today.json"),
-  ].filter(Boolean);
+function imageUrlsFromElement($, el, baseUrl) {
+  const node = $(el);
+  const out = [];
 
-  for (const p of candidates) {
-    try {
-      if (p && fs.existsSync(p)) return p;
-    } catch {}
+  const content = node.attr("content") || (node.is("link") ? node.attr("href") : null);
+  if (content) out.push(normalizeUrl(content, baseUrl));
+
+  const srcset = node.attr("srcset") || node.attr("data-srcset");
+  if (srcset) out.push(pickBestFromSrcset(srcset, baseUrl));
+
+  for (const a of ["src", "data-src", "data-lazy-src", "data-original"]) {
+    const u = normalizeUrl(node.attr(a), baseUrl);
+    if (u) out.push(u);
   }
 
-  // walk up from outputDir
-  let dir = outputDir || process.cwd();
-  for (let i = 0; i <= 8; i++) {
-    const p = path.join(dir, "today.json");
-    if (fs.existsSync(p)) return p;
-    const parent = path.dirname(dir);
-    if (parent === dir) break;
-    dir = parent;
+  // <a><img></a> or <picture><source><img></picture>
+  if (!out.filter(Boolean).length) {
+    node.find("source[srcset], img").each((_, child) => {
+      out.push(...imageUrlsFromElement($, child, baseUrl));
+    });
   }
 
-  return null;
+  return uniqueStrings(out.filter(Boolean));
 }
 
-function parseTodayJson(jsonText) {
-  const data = JSON.parse(jsonText);
-  if (Array.isArray(data)) return data;
-  if (Array.isArray(data?.items)) return data.items;
-  if (data && typeof data === "object") return Object.values(data);
-  return [];
-}
+async function fetchMetaImage(pageUrl, selectors = [], st = null) {
+  const data = await fetchHtml(pageUrl);
+  const $ = cheerio.load(data);
 
-async function fetchCoverFromTodayJson(publisherId, dateStr, outputDir) {
-  const todayPath = findTodayJsonPath(outputDir) || getTodayJsonPath();
-  if (!todayPath || !fs.existsSync(todayPath)) return null;
+  for (const sel of uniqueStrings([...selectors, ...IMAGE_META_SELECTORS])) {
+    const els = selectSafe($, sel);
+    if (!els?.length) continue;
 
-  let items;
-  try {
-    items = parseTodayJson(fs.readFileSync(todayPath, "utf8"));
-  } catch {
-    return null;
+    const [url] = imageUrlsFromElement($, els.first(), pageUrl);
+    if (url) {
+      traceDetail(st, `${sel} on ${pageUrl}`);
+      return { url, referer: pageUrl, source: "meta" };
+    }
   }
+  traceDetail(st, `no image meta tag on ${pageUrl}`);
+  return null;
+}
 
-  const hit = items.find(
-    (x) => String(x?.publisherId) === String(publisherId) && String(x?.date) === String(dateStr)
-  );
-  if (!hit?.sourceUrl) return null;
-
-  const imgUrl = normalizeUrl(hit.sourceUrl, "https://img.kiosko.net/");
-  if (!imgUrl) return null;
+async function fetchDomScan(pageUrl, selector, st = null) {
+  const data = await fetchHtml(pageUrl);
+  const $ = cheerio.load(data);
 
-  // strict kiosko date
-  if (imgUrl.includes("img.kiosko.net")) {
-    const kioskoDate = extractKioskoDateFromUrl(imgUrl);
-    if (kioskoDate && kioskoDate !== dateStr) return null;
+  const urls = [];
+  const els = selector ? selectSafe($, selector) : null;
+  if (els?.length) {
+    els.each((_, el) => {
+      urls.push(...imageUrlsFromElement($, el, pageUrl));
+    });
   }
+  // No (usable) selector match: fall back to the generic cover heuristics
+  if (!urls.length) urls.push(...extractImageCandidates($, pageUrl, data));
 
-  try {
-    const meta = await probeImage(imgUrl, null);
-    const score = scoreCoverCandidate(imgUrl, meta, `today.json:${todayPath}`);
-    if (score < 90) return null;
-  } catch {
+  const best = await probeBest(uniqueStrings(urls).slice(0, 40), pageUrl, "dom:page_scan", {
+    threshold: SCORE_THRESHOLDS.page,
+    st,
+  });
+  if (best) return { url: best.url, referer: pageUrl, source: "dom:page_scan" };
+  return null;
+}
+
+async function fetchSocialLatestMedia(timelineUrl, publisher, dateStr, keywords = [], st = null) {
+  if (!timelineUrl) return null;
+  const data = await fetchHtml(timelineUrl);
+  const posts = parseNitterTimeline(data, timelineUrl);
+  const post = pickEditionPost(posts, { dateStr, timezone: publisher?.timezone, keywords });
+  const wanted = keywords?.length ? ` matching ${keywords.map((k) => `"${k}"`).join(", ")}` : "";
+  if (!post) {
+    debug("[social] no edition post:", publisher?.id, timelineUrl, `${posts.length} posts`);
+    traceDetail(st, `no post with media on ${dateStr}${wanted} among ${posts.length} on ${timelineUrl}`);
     return null;
   }
-
-  return { url: imgUrl, referer: null, source: `today.json:${path.relative(process.cwd(), todayPath)}` };
+  traceDetail(st, `post ${post.url || post.id} (${post.postedAt})${wanted}`);
+  return { url: post.media[0], referer: post.url || timelineUrl, source: "social:x_latest_media" };
 }
 
 /* --------------------------
-   frontpages candidates extractor
+   Primary method registry
 -------------------------- */
 
-function extractImageCandidates($, pageUrl, rawHtml = "") {
-  const out = new Set();
-
-  const golden = [
-    "#giornale-img",
-    "img#giornale-img",
-    "#portada",
-    "img#portada",
-    "img#cover",
-    "img.cover",
-    "img.frontpage",
-    "img[class*='cover']",
-    "img[id*='cover']",
-    "img[class*='front']",
-  ];
-
-  for (const sel of golden) {
-    const el = $(sel).first();
-    if (!el.length) continue;
-
-    const srcset = el.attr("srcset");
-    const best = srcset ? pickBestFromSrcset(srcset, pageUrl) : null;
-    if (best) out.add(best);
+/**
+ * Strategies keyed by `primary.method` in publishers.json.
+ * A strategy is `async (primary, publisher, ctx) => candidate | null`
+ * where ctx = { dateStr, trace } (trace: the source's section in trace.js, may be null).
+ * Add new methods with registerPrimaryMethod().
+ *
+ * `dated: true` marks strategies whose result is verifiably from ctx.dateStr (not a
+ * "latest cover" page); only those run when fetchCover() is called with datedOnly.
+ */
+const PRIMARY_METHODS = new Map();
 
-    for (const a of ["src", "data-src", "data-lazy-src", "data-original"]) {
-      const u = normalizeUrl(el.attr(a), pageUrl);
-      if (u) out.add(u);
-    }
+export function registerPrimaryMethod(method, strategy, { dated = false } = {}) {
+  if (!method || typeof strategy !== "function") {
+    throw new Error("registerPrimaryMethod: method name and strategy function are required");
   }
-
-  [
-    "meta[property='og:image']",
-    "meta[property='og:image:url']",
-    "meta[name='twitter:image']",
-    "meta[name='twitter:image:src']",
-    "link[rel='image_src']",
-  ].forEach((sel) => {
-    const v = $(sel).attr("content") || $(sel).attr("href");
-    const u = normalizeUrl(v, pageUrl);
-    if (u) out.add(u);
-  });
-
-  const matches =
-    String(rawHtml).match(/https?:\/\/[^"' )]+?\.(?:jpg|jpeg|png|webp|avif)(?:\?[^"') ]*)?/gi) || [];
-  for (const m of matches) out.add(m);
-
-  return [...out]
-    .map((u) => normalizeUrl(u, pageUrl))
-    .filter(Boolean)
-    .filter((u) => {
-      const lu = u.toLowerCase();
-      if (lu.includes("favicon") || lu.includes("sprite")) return false;
-      return true;
-    });
+  PRIMARY_METHODS.set(method, { strategy, dated });
 }
 
-async function fetchFrontpagesCom(publisherId) {
-  const slugMap = {
-    marca: "marca",
-    as: "as",
-    mundodeportivo: "mundo-deportivo",
-    sport: "sport",
-    lesportiu: "l-esportiu",
-    estadiodeportivo: "estadio-deportivo",
-    superdeporte: "superdeporte",
-    lequipe: "lequipe",
-    gazzetta: "la-gazzetta-dello-sport",
-    corriere: "corriere-dello-sport",
-    tuttosport: "tuttosport",
-    abola: "a-bola",
-    record: "record",
-    ojogo: "o-jogo",
-    kicker: "kicker",
-    dailystar: "daily-star",
-    mirror: "daily-mirror",
-    express: "daily-express",
-  };
+export function listPrimaryMethods() {
+  return [...PRIMARY_METHODS.keys()];
+}
 
-  const slug = slugMap[publisherId] || publisherId;
-  const pageUrl = `https://www.frontpages.com/${slug}/`;
+registerPrimaryMethod("og:image", async (primary, publisher, { trace }) => {
+  if (!primary.url) return null;
+  return fetchMetaImage(primary.url, [primary.selector].filter(Boolean), trace);
+});
 
-  const data = await fetchHtml(pageUrl);
-  const $ = cheerio.load(data);
+registerPrimaryMethod("dom:page_scan", async (primary, publisher, { trace }) => {
+  if (!primary.url) return null;
+  const dom = await safe(fetchDomScan(primary.url, primary.selector, trace));
+  if (dom) return dom;
+  return safe(fetchMetaImage(primary.url, [], trace));
+});
 
-  const candidates = extractImageCandidates($, pageUrl, data);
+// Posts are matched on their publication date in the publisher's timezone
+registerPrimaryMethod(
+  "social:x_latest_media",
+  async (primary, publisher, { dateStr, trace }) =>
+    fetchSocialLatestMedia(nitterUrlForProfile(primary.url), publisher, dateStr, primary.keywords, trace),
+  { dated: true }
+);
 
-  let best = null;
-  for (const imgUrl of candidates.slice(0, 120)) {
-    try {
-      const meta = await probeImage(imgUrl, pageUrl);
-      const score = scoreCoverCandidate(imgUrl, meta, "frontpages.com");
-      if (!best || score > best.score) best = { url: imgUrl, score };
-    } catch {}
-  }
+// Aliases are resolved to their target publisher before fetching
+registerPrimaryMethod("alias", async () => null);
 
-  if (best && best.score >= 55) return { url: best.url, referer: pageUrl, source: "frontpages.com" };
-  return null;
-}
+// No primary source: rely on aggregators and fallbacks
+registerPrimaryMethod("none", async () => null);
 
 /* --------------------------
    Publisher primary/fallback integration
@@ -808,25 +1042,96 @@ function resolveAlias(publisher, publishersById) {
   return publisher;
 }
 
-async function fetchFromPrimary(publisher) {
+// Run one source in its own trace section; errors are recorded there instead of vanishing in safe()
+async function runTraced(trace, name, run) {
+  const st = traceSource(trace, name);
+  try {
+    const candidate = await run(st);
+    finishSource(st, { candidate });
+    return candidate;
+  } catch (e) {
+    finishSource(st, { error: e?.message || String(e) });
+    return null;
+  }
+}
+
+async function fetchFromPrimary(publisher, dateStr, trace = null, { datedOnly = false } = {}) {
   const { primary } = publisher || {};
-  if (!primary?.url || !primary?.method) return null;
+  if (!primary?.method) return null;
+
+  const registered = PRIMARY_METHODS.get(primary.method);
+  if (!registered) {
+    // Not swallowed silently: a typo here means the primary source is never used
+    console.warn(
+      `[primary] unknown method "${primary.method}" for ${publisher.id} (known: ${listPrimaryMethods().join(", ")})`
+    );
+    finishSource(traceSource(trace, `primary:${primary.method}`), { error: "unknown method" });
+    return null;
+  }
+
+  if (datedOnly && !registered.dated) return null;
+
+  return runTraced(trace, `primary:${primary.method}`, (st) =>
+    registered.strategy(primary, publisher, { dateStr, trace: st })
+  );
+}
+
+/**
+ * Strategies keyed by `fallbacks[].type` in publishers.json, same signature (and
+ * `dated` option) as primary methods: `async (fallback, publisher, ctx) => candidate | null`.
+ */
+const FALLBACK_TYPES = new Map();
 
-  if (primary.method === "og:image") return fetchMetaImage(primary.url, [primary.selector].filter(Boolean));
-  if (primary.method === "dom:page_scan") {
-    const dom = await safe(fetchDomScan(primary.url, primary.selector));
-    if (dom) return dom;
-    return safe(fetchMetaImage(primary.url));
+export function registerFallbackType(type, strategy, { dated = false } = {}) {
+  if (!type || typeof strategy !== "function") {
+    throw new Error("registerFallbackType: type name and strategy function are required");
   }
-  return null;
+  FALLBACK_TYPES.set(type, { strategy, dated });
+}
+
+export function listFallbackTypes() {
+  return [...FALLBACK_TYPES.keys()];
 }
 
-async function fetchFromFallbacks(publisher) {
+registerFallbackType("site", async (fb, publisher, { trace }) => fetchMetaImage(fb.url, [], trace));
+
+// Social fallbacks inherit caption keywords from the primary entry unless they set their own
+registerFallbackType(
+  "x_profile",
+  async (fb, publisher, { dateStr, trace }) =>
+    fetchSocialLatestMedia(
+      nitterUrlForProfile(fb.url),
+      publisher,
+      dateStr,
+      fb.keywords || publisher.primary?.keywords,
+      trace
+    ),
+  { dated: true }
+);
+
+registerFallbackType(
+  "nitter_proxy",
+  async (fb, publisher, { dateStr, trace }) =>
+    fetchSocialLatestMedia(fb.url, publisher, dateStr, fb.keywords || publisher.primary?.keywords, trace),
+  { dated: true }
+);
+
+async function fetchFromFallbacks(publisher, dateStr, trace = null, { datedOnly = false } = {}) {
   for (const fb of publisher?.fallbacks || []) {
-    if (fb.type === "site") {
-      const r = await safe(fetchMetaImage(fb.url));
-      if (r) return r;
+    const registered = FALLBACK_TYPES.get(fb.type);
+    if (!registered) {
+      console.warn(
+        `[fallback] unknown type "${fb.type}" for ${publisher.id} (known: ${listFallbackTypes().join(", ")})`
+      );
+      finishSource(traceSource(trace, `fallback:${fb.type}`), { error: "unknown type" });
+      continue;
     }
+    if (datedOnly && !registered.dated) continue;
+
+    const r = await runTraced(trace, `fallback:${fb.type}`, (st) =>
+      registered.strategy(fb, publisher, { dateStr, trace: st })
+    );
+    if (r) return r;
   }
   return null;
 }
@@ -836,96 +1141,310 @@ async function fetchPublisherSpecial(publisher) {
   return null;
 }
 
+/**
+ * Start every source of `publisher`: its `sources` list from publishers.json, or
+ * defaultSourceOrder(). They run side by side; the order is only the tie-break
+ * order for uniqueByUrl. Returns one promise (candidate | null) per source.
+ */
+function runSources(publisher, dateStr, trace, { datedOnly, knownGood }) {
+  return (publisher.sources || defaultSourceOrder()).map((name) => {
+    const aggregator = getAggregator(name);
+    if (aggregator) {
+      if (datedOnly && !aggregator.dated) return null;
+      return runTraced(trace, aggregator.name, (st) =>
+        fetchFromAggregator(aggregator, publisher, dateStr, { datedOnly, st })
+      );
+    }
+
+    switch (name) {
+      case "today.json":
+        if (datedOnly) return null;
+        return runTraced(trace, "today.json", (st) => fetchKnownGoodCover(publisher.id, dateStr, knownGood, st));
+      case "primary":
+        return fetchFromPrimary(publisher, dateStr, trace, { datedOnly });
+      case "special":
+        return datedOnly ? null : safe(fetchPublisherSpecial(publisher));
+      case "fallbacks":
+        return fetchFromFallbacks(publisher, dateStr, trace, { datedOnly });
+      default:
+        console.warn(`[sources] unknown source "${name}" for ${publisher.id} (known: ${defaultSourceOrder().join(", ")})`);
+        finishSource(traceSource(trace, name), { error: "unknown source" });
+        return null;
+    }
+  });
+}
+
 /* --------------------------
    Candidate ranking
 -------------------------- */
 
-async function rankCandidates(candidates) {
-  const ranked = [];
-  for (const cand of candidates) {
-    try {
-      const meta = await probeImage(cand.url, cand.referer);
-      const score = scoreCoverCandidate(cand.url, meta, cand.source);
-      ranked.push({ ...cand, _score: score });
-    } catch (e) {
-      debug("[rank] probe failed:", cand.source, cand.url, e?.message);
-    }
+async function rankCandidates(candidates, trace = null) {
+  const probed = await mapLimit(candidates, PROBE_CONCURRENCY, async (cand) => ({
+    cand,
+    attempt: await probeScored(cand.url, cand.referer, cand.source),
+  }));
+
+  const ranked = probed.filter((p) => p.attempt.score != null);
+  ranked.sort((a, b) => b.attempt.score - a.attempt.score);
+  const failed = probed.filter((p) => p.attempt.score == null);
+  for (const { cand, attempt } of failed) debug("[rank] probe failed:", cand.source, cand.url, attempt.reason);
+
+  if (trace) {
+    trace.ranking = [...ranked, ...failed].map(({ cand, attempt }) => ({
+      url: cand.url,
+      source: cand.source,
+      referer: cand.referer || null,
+      probe: attempt.probe,
+      score: attempt.score,
+      breakdown: attempt.breakdown,
+      verdict: attempt.score == null ? "rejected" : "ranked",
+      reason: attempt.reason,
+    }));
   }
-  ranked.sort((a, b) => (b._score || 0) - (a._score || 0));
-  return ranked;
+
+  return ranked.map(({ cand, attempt }) => ({ ...cand, _score: attempt.score }));
+}
+
+/**
+ * Download `url` again as a verified temporary file in `dir`, for a one-off read of the
+ * full-size image (ocr-archive under thumbnails_only); the caller deletes it.
+ */
+export async function downloadOriginal(url, dir, referer = null) {
+  fs.mkdirSync(dir, { recursive: true });
+  const { tmpPath } = await downloadImage(url, path.join(dir, `original-${crypto.randomUUID()}`), referer);
+  return tmpPath;
 }
 
 /* --------------------------
    EXPORT: fetchCover
 -------------------------- */
 
-export async function fetchCover(publisher, dateStr, outputDir, allPublishers = []) {
+/**
+ * options.staleCheck: overrides for DEFAULT_STALE_CHECK (see phash.js). A candidate whose
+ * perceptual hash matches one of the publisher's previous covers is set aside and the
+ * next candidate is tried; if nothing fresh is found, onStale decides between failing
+ * ("reject") and keeping the best stale image with `stale: true` ("flag").
+ *
+ * options.derivatives / options.legal: the accepted download is re-encoded into the
+ * configured sizes (see images.js). Under legal.display "thumbnails_only" the original
+ * is deleted, and a candidate that cannot be converted is skipped rather than kept.
+ *
+ * options.trace: a trace from createCoverTrace() (trace.js), filled in with every source,
+ * probe, score breakdown and download decision of this call, whether it succeeds or not.
+ *
+ * options.datedOnly: only sources that can prove the cover is from dateStr (`dated`
+ * aggregators, whose candidates must carry that date, and `dated` registry strategies),
+ * for backfilling past days.
+ * options.knownGood: (publisherId, dateStr) => record | null, the cover already accepted
+ * for that day (store.js knownGoodCover); backs the "today.json" source. A cover taken
+ * from it carries the record's `attribution` on the result: the page it was first found
+ * on (servedBy.pageUrl) is not known again.
+ *
+ * options.previous: the record already saved for this publisher-day, if any. A download
+ * with the same SHA-256 is not saved again: its files are reused as they are and the
+ * result carries `unchanged: true`. Every result carries the download's `sha256`.
+ *
+ * options.onOriginal: async (originalPath) => void, called with the accepted full-size
+ * download before it is re-encoded (and, under thumbnails_only, deleted); build.js runs
+ * OCR there. Not called for an unchanged download, whose original is already gone.
+ *
+ * options.dryRun: resolve and rank candidates only. Nothing is downloaded or written;
+ * resolves to { dryRun: true, url, source, score, candidates } for the best candidate.
+ *
+ * Fetches robots.txt refused come back as `blocked: [{ url, rule }]` on the result (and
+ * on the error when the call fails, whose message then says so); the trace lists them too.
+ */
+export async function fetchCover(publisher, dateStr, outputDir, allPublishers = [], options = {}) {
   if (!publisher?.id) throw new Error("fetchCover: publisher.id missing");
   if (!dateStr) throw new Error("fetchCover: dateStr missing");
   if (!outputDir) throw new Error("fetchCover: outputDir is required");
 
-  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+  if (!options.dryRun && !fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+
+  const trace = options.trace || null;
+  const blocked = trace ? trace.blocked : [];
+  try {
+    const result = await fetchScope.run(blocked, () =>
+      findAndSaveCover(publisher, dateStr, outputDir, allPublishers, options, trace)
+    );
+    finishTrace(trace, {
+      accepted: { url: result.url, source: result.source, score: result.score, stale: Boolean(result.stale) },
+    });
+    return blocked.length ? { ...result, blocked } : result;
+  } catch (e) {
+    if (blocked.length) {
+      e.message += ` (robots.txt blocked ${blocked.length} fetch(es))`;
+      e.blocked = blocked;
+    }
+    finishTrace(trace, { error: e.message });
+    throw e;
+  }
+}
+
+async function findAndSaveCover(publisher, dateStr, outputDir, allPublishers, options, trace) {
+  const staleCheck = { ...DEFAULT_STALE_CHECK, ...(options.staleCheck || {}) };
 
   const publishersById = new Map(allPublishers.map((p) => [p.id, p]));
+  const requestedId = publisher.id;
   publisher = resolveAlias(publisher, publishersById);
+  if (trace && publisher.id !== requestedId) trace.resolvedPublisherId = publisher.id;
 
-  const rawCandidates = uniqueByUrl([
-    await safe(fetchCoverFromTodayJson(publisher.id, dateStr, outputDir)),
-    await safe(fetchKioskoNet(publisher.id, dateStr, publisher)),
-    await safe(fetchFrontpagesCom(publisher.id)),
-    await safe(fetchFromPrimary(publisher)),
-    await safe(fetchPublisherSpecial(publisher)),
-    await safe(fetchFromFallbacks(publisher)),
-  ]);
+  const { datedOnly = false } = options;
+  const rawCandidates = uniqueByUrl(
+    await Promise.all(runSources(publisher, dateStr, trace, { datedOnly, knownGood: options.knownGood }))
+  );
 
   if (!rawCandidates.length) throw new Error(`Cover not found for ${publisher.id} (${dateStr})`);
 
-  const candidates = await rankCandidates(rawCandidates);
+  const candidates = await rankCandidates(rawCandidates, trace);
   if (!candidates.length) throw new Error(`All candidates invalid for ${publisher.id} (${dateStr})`);
 
+  if (options.dryRun) {
+    // Same date rule as the download loop below
+    const best = candidates.find((c) => !dateProblem(c.url, dateStr));
+    if (!best) throw new Error(`No candidate for ${publisher.id} (${dateStr}) after date checks`);
+    return {
+      dryRun: true,
+      url: best.url,
+      source: best.source,
+      score: best._score,
+      candidates: candidates.map((c) => ({ url: c.url, source: c.source, score: c._score })),
+    };
+  }
+
+  const legal = { ...(options.legal || {}), ...(publisher.legal || {}) };
+  const thumbnailsOnly = legal.display === "thumbnails_only";
+
+  const downloads = trace ? trace.downloads : [];
+  const noteDownload = (cand, verdict, reason = null) =>
+    downloads.push({ url: cand.url, source: cand.source, score: cand._score, verdict, reason });
+
+  // `unchangedFiles`: the files of an identical earlier download, reused without re-encoding
+  async function accept(cand, finalFilename, freshness, sha256, unchangedFiles = null) {
+    const originalPath = path.join(outputDir, finalFilename);
+    let files = {};
+    let derived = null;
+
+    if (unchangedFiles) {
+      files = unchangedFiles;
+    } else {
+      // While the full-size original still exists (thumbnails_only deletes it below)
+      if (options.onOriginal) await options.onOriginal(originalPath);
+      try {
+        derived = await generateDerivatives(originalPath, outputDir, dateStr, options.derivatives);
+        for (const [size, d] of Object.entries(derived)) files[size] = d.file;
+      } catch (e) {
+        if (thumbnailsOnly) {
+          fs.rmSync(originalPath, { force: true });
+          throw new Error(`derivatives failed (thumbnails_only): ${e.message}`);
+        }
+        debug("[fetchCover] derivatives failed, keeping original:", cand.url, e?.message);
+        files.medium = finalFilename;
+      }
+
+      if (thumbnailsOnly) fs.rmSync(originalPath, { force: true });
+      else files.original = finalFilename;
+    }
+
+    const note = unchangedFiles
+      ? "unchanged (same SHA-256 as the saved cover)"
+      : freshness?.stale
+        ? `stale, flagged (matches ${freshness.matchedDate})`
+        : null;
+    noteDownload(cand, "accepted", note);
+    return {
+      url: cand.url,
+      score: cand._score,
+      localFile: files.medium,
+      files,
+      dimensions: derived
+        ? Object.fromEntries(Object.entries(derived).map(([k, d]) => [k, { width: d.width, height: d.height }]))
+        : null,
+      source: cand.source,
+      referer: cand.referer || null,
+      ...(cand.attribution ? { attribution: cand.attribution } : {}),
+      sha256,
+      phash: freshness?.phash || null,
+      ...(freshness?.stale ? { stale: true, staleMatchedDate: freshness.matchedDate } : {}),
+      ...(unchangedFiles ? { unchanged: true } : {}),
+    };
+  }
+
   let lastErr = null;
+  let heldStale = null; // { cand, heldPath, finalFilename, freshness, sha256 }
+  const { previous } = options;
 
   for (const cand of candidates) {
     try {
-      // Strict kiosko date check at final stage too (extra safety)
-      if (cand.url.includes("img.kiosko.net")) {
-        const kioskoDate = extractKioskoDateFromUrl(cand.url);
-        if (kioskoDate && kioskoDate !== dateStr) continue;
+      // Strict date check for date-addressed URLs at final stage too (extra safety)
+      const problem = dateProblem(cand.url, dateStr);
+      if (problem) {
+        noteDownload(cand, "rejected", problem);
+        continue;
       }
 
-      const urlExt = path.extname(cand.url.split("?")[0] || "");
-      const tmpPath = path.join(outputDir, `${dateStr}-medium${urlExt || ".img"}`);
-
-      const { contentType } = await downloadImage(cand.url, tmpPath, cand.referer);
-
-      const finalExt = urlExt || extFromContentType(contentType);
-      const finalFilename = `${dateStr}-medium${finalExt}`;
+      const download = await downloadImage(cand.url, path.join(outputDir, `${dateStr}-original`), cand.referer);
+      const finalFilename = `${dateStr}-original${download.ext}`;
       const finalPath = path.join(outputDir, finalFilename);
 
-      if (tmpPath !== finalPath) fs.renameSync(tmpPath, finalPath);
-
-      // Update today.json in CI
-      upsertTodayJsonEntry({
-        publisher,
-        dateStr,
-        localFile: finalFilename,
-        sourceUrl: cand.url,
-      });
+      // Same bytes as the cover already saved for this day: keep its files (and verdicts) as they are
+      if (previous?.sha256 && previous.sha256 === download.sha256) {
+        const files = existingFiles(outputDir, dateStr, finalFilename, {
+          derivatives: options.derivatives,
+          keepOriginal: !thumbnailsOnly,
+        });
+        if (files) {
+          fs.rmSync(download.tmpPath, { force: true });
+          const freshness = {
+            phash: previous.phash || null,
+            ...(previous.stale ? { stale: true, matchedDate: previous.staleMatchedDate } : {}),
+          };
+          const accepted = await accept(cand, finalFilename, freshness, download.sha256, files);
+          if (heldStale) fs.rmSync(heldStale.heldPath, { force: true });
+          return accepted;
+        }
+      }
 
-      // CI logging
-      try {
-        const tpath = getTodayJsonPath();
-        console.log("[today.json] updated:", tpath);
-      } catch {}
+      // Validated: move into place in one step
+      fs.renameSync(download.tmpPath, finalPath);
+
+      const freshness = staleCheck.enabled ? await checkStale(finalPath, outputDir, dateStr, staleCheck) : null;
+      if (freshness?.stale) {
+        debug("[fetchCover] stale:", cand.source, cand.url, `matches ${freshness.matchedDate} (d=${freshness.distance})`);
+        lastErr = new Error(`stale cover (matches ${freshness.matchedDate})`);
+        noteDownload(cand, "rejected", `stale: matches ${freshness.matchedDate} (distance ${freshness.distance})`);
+        if (!heldStale) {
+          const heldPath = `${finalPath}.stale`;
+          fs.renameSync(finalPath, heldPath);
+          heldStale = { cand, heldPath, finalFilename, freshness, sha256: download.sha256 };
+        } else {
+          fs.unlinkSync(finalPath);
+        }
+        continue;
+      }
 
-      return { url: cand.url, localFile: finalFilename, source: cand.source };
+      const accepted = await accept(cand, finalFilename, freshness, download.sha256);
+      if (heldStale) fs.rmSync(heldStale.heldPath, { force: true });
+      return accepted;
     } catch (e) {
       lastErr = e;
+      noteDownload(cand, "rejected", e?.message || String(e));
       debug("[fetchCover] download failed:", cand.source, cand.url, e?.message);
     }
   }
 
+  if (heldStale) {
+    if (staleCheck.onStale === "flag") {
+      fs.renameSync(heldStale.heldPath, path.join(outputDir, heldStale.finalFilename));
+      return accept(heldStale.cand, heldStale.finalFilename, heldStale.freshness, heldStale.sha256);
+    }
+    fs.rmSync(heldStale.heldPath, { force: true });
+    throw new Error(
+      `Only stale covers found for ${publisher.id} (${dateStr}): best match is ${heldStale.freshness.matchedDate}`
+    );
+  }
+
   throw new Error(
     `All candidate downloads failed for ${publisher.id} (${dateStr}): ${lastErr?.message || String(lastErr)}`
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,241 @@
+import fs from "fs";
+import path from "path";
+import { writeFileAtomic } from "./atomic.js";
+import { absoluteUrl, hostOf } from "./attribution.js";
+import { statusOf } from "./history.js";
+
+/**
+ * gallery.js
+ * - Static HTML gallery for the published site, regenerated after each run from the same
+ *   records as today.json and the history (no server, no client-side data loading):
+ *
+ *   <site>/index.html                latest run (today.json), grouped by groupLabel
+ *   <site>/archive/<date>.html       one edition date, with prev/next navigation
+ *   <site>/publishers/<id>.html      one publisher's archive, newest first
+ *   <site>/assets/gallery.css
+ *
+ * - Failed publisher-days show a placeholder with the error; days without an issue show
+ *   the current issue; covers past the retention window show that the image has expired.
+ * - legal (global, overridden per publisher): with display "thumbnails_only" only the
+ *   small / medium images are shown and a cover links to its source, never to a full-size
+ *   copy; with attributionRequired every cover credits the publisher and links the source.
+ *   Records with `attribution` (attribution.js) are credited from it alone: copyright line,
+ *   publisher homepage and the site that served the image.
+ */
+
+const ARCHIVE_DIR = "archive";
+const PUBLISHERS_DIR = "publishers";
+const ASSETS_DIR = "assets";
+
+const CSS = `:root { color-scheme: light dark; --muted: #6b7280; --card: rgba(127, 127, 127, 0.08); }
+* { box-sizing: border-box; }
+body { margin: 0 auto; max-width: 1200px; padding: 1rem; font: 15px/1.4 system-ui, sans-serif; }
+header, nav { display: flex; flex-wrap: wrap; gap: 0.5rem 1rem; align-items: baseline; }
+header h1 { margin: 0; font-size: 1.5rem; }
+nav a { white-space: nowrap; }
+h2 { margin: 2rem 0 0.75rem; font-size: 1.2rem; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 1rem; }
+.cover { margin: 0; padding: 0.5rem; background: var(--card); border-radius: 6px; }
+.cover img { display: block; width: 100%; height: auto; aspect-ratio: 2 / 3; object-fit: contain; }
+.cover figcaption { margin-top: 0.4rem; font-size: 0.85rem; }
+.placeholder { display: flex; align-items: center; justify-content: center; aspect-ratio: 2 / 3; padding: 0.5rem;
+  text-align: center; color: var(--muted); border: 1px dashed var(--muted); border-radius: 4px; font-size: 0.85rem; }
+.cover.error .placeholder { color: #b91c1c; border-color: #b91c1c; }
+.meta, .credit, footer { color: var(--muted); }
+footer { margin-top: 3rem; font-size: 0.8rem; }
+`;
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Record URLs are relative to the site root ("./data/images/..."); `root` is "./" or "../"
+function siteUrl(url, root) {
+  if (!url) return null;
+  return absoluteUrl(url) || `${root}${url.replace(/^\.\//, "")}`;
+}
+
+function creditLine(record, source) {
+  const credit = record.attribution;
+  if (!credit) {
+    const link = source ? ` · <a href="${escapeHtml(source)}" rel="noopener">${escapeHtml(hostOf(source) || "source")}</a>` : "";
+    return `© ${escapeHtml(record.publisherName)}${link}`;
+  }
+  const parts = [escapeHtml(credit.copyright)];
+  if (credit.homepage) {
+    parts.push(`<a href="${escapeHtml(credit.homepage)}" rel="noopener">${escapeHtml(hostOf(credit.homepage))}</a>`);
+  }
+  if (credit.servedBy) {
+    const name = escapeHtml(credit.servedBy.name);
+    const href = credit.servedBy.pageUrl || source;
+    parts.push(`via ${href ? `<a href="${escapeHtml(href)}" rel="noopener">${name}</a>` : name}`);
+  }
+  return parts.join(" · ");
+}
+
+function coverCard(record, { publisher, legal, root, showDate }) {
+  // The rules recorded with the cover win over today's publishers.json
+  const rules = { ...legal, ...(publisher?.legal || {}) };
+  if (record.attribution) {
+    rules.display = record.attribution.display || rules.display;
+    rules.attributionRequired = record.attribution.required;
+  }
+  const status = statusOf(record);
+  const thumb = siteUrl(record.imageMediumUrl || record.imageSmallUrl, root);
+  const source = record.sourceUrl ? siteUrl(record.sourceUrl, root) : null;
+  const full = siteUrl(record.imageOriginalUrl || record.imageLargeUrl || record.imageMediumUrl, root);
+  const alt = `${record.publisherName} front page, ${record.date}`;
+
+  let media;
+  if (status === "error") {
+    media = `<div class="placeholder">Not available: ${escapeHtml(record.error || "unknown error")}</div>`;
+  } else if (!thumb) {
+    const why = record.imageExpired ? "Image removed after the archive window" : "No issue on this day";
+    media = `<div class="placeholder">${why}</div>`;
+  } else {
+    const img = `<img src="${escapeHtml(thumb)}" alt="${escapeHtml(alt)}" loading="lazy">`;
+    const href = rules.display === "thumbnails_only" ? source : full;
+    media = href ? `<a href="${escapeHtml(href)}" rel="noopener">${img}</a>` : img;
+  }
+
+  const name = publisher
+    ? `<a href="${root}${PUBLISHERS_DIR}/${encodeURIComponent(publisher.id)}.html">${escapeHtml(record.publisherName)}</a>`
+    : escapeHtml(record.publisherName);
+  const notes = [];
+  if (showDate) notes.push(`<a href="${root}${ARCHIVE_DIR}/${record.date}.html">${record.date}</a>`);
+  if (status === "no_issue" && record.currentIssueDate) notes.push(`current issue: ${escapeHtml(record.currentIssueDate)}`);
+  if (record.stale) notes.push("possibly stale");
+  if (record.headline) notes.push(`“${escapeHtml(record.headline)}”`);
+
+  const caption = [`<strong>${name}</strong>`];
+  if (notes.length) caption.push(`<div class="meta">${notes.join(" · ")}</div>`);
+  if (rules.attributionRequired && status !== "error") caption.push(`<div class="credit">${creditLine(record, source)}</div>`);
+
+  return [`<figure class="cover ${status}">`, `  ${media}`, `  <figcaption>${caption.join("")}</figcaption>`, "</figure>"].join(
+    "\n"
+  );
+}
+
+function grid(records, options) {
+  const cards = records.map((r) => coverCard(r, { ...options, publisher: options.byId.get(r.publisherId) }));
+  return `<div class="grid">\n${cards.join("\n")}\n</div>`;
+}
+
+// Sections per groupLabel, in publishers.json order
+function groupedSections(records, options) {
+  const order = new Map(options.publishers.map((p, i) => [p.id, i]));
+  const sorted = [...records].sort((a, b) => (order.get(a.publisherId) ?? 1e9) - (order.get(b.publisherId) ?? 1e9));
+  const groups = new Map();
+  for (const r of sorted) {
+    const label = r.groupLabel || options.byId.get(r.publisherId)?.groupLabel || "Other";
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(r);
+  }
+  return [...groups]
+    .map(([label, rs]) => `<section>\n<h2>${escapeHtml(label)}</h2>\n${grid(rs, options)}\n</section>`)
+    .join("\n");
+}
+
+function page({ title, root, body, nav = "", feed = null, footer }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}${ASSETS_DIR}/gallery.css">
+${feed ? `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(title)}" href="${root}${feed}">\n` : ""}</head>
+<body>
+<header><h1>${escapeHtml(title)}</h1>
+<nav><a href="${root}index.html">Latest</a>${nav}</nav></header>
+<main>
+${body}
+</main>
+<footer>${footer}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build every page from `today` (today.json records) and `history`; returns Map<relative
+ * path, html>. `site` is publishers.json's { title }, `legal` its global legal block.
+ */
+export function buildGallery({ today = [], history = [], publishers = [], legal = {}, site = {}, now = new Date() }) {
+  const enabled = publishers.filter((p) => p.enabled);
+  const byId = new Map(enabled.map((p) => [p.id, p]));
+  const siteTitle = site.title || "Sports covers";
+  const footer =
+    `${legal.display === "thumbnails_only" ? "Covers are shown as thumbnails and" : "Covers"} ` +
+    `remain the property of their publishers. Generated ${escapeHtml(now.toISOString())}.`;
+  const pages = new Map();
+  const common = { publishers: enabled, byId, legal };
+
+  const ownRecords = (records) => records.filter((r) => byId.has(r.publisherId));
+  const archived = ownRecords(history);
+  const dates = [...new Set(archived.map((r) => r.date))].sort();
+  const dateLinks = (root) =>
+    dates.length ? ` <a href="${root}${ARCHIVE_DIR}/${dates[dates.length - 1]}.html">Archive</a>` : "";
+
+  pages.set(
+    "index.html",
+    page({
+      title: siteTitle,
+      root: "./",
+      nav: dateLinks("./"),
+      feed: "feeds/all.atom",
+      footer,
+      body: today.length ? groupedSections(ownRecords(today), { ...common, root: "./" }) : "<p>No covers yet.</p>",
+    })
+  );
+
+  dates.forEach((date, i) => {
+    const root = "../";
+    const prev = dates[i - 1] ? ` <a href="${dates[i - 1]}.html" rel="prev">← ${dates[i - 1]}</a>` : "";
+    const next = dates[i + 1] ? ` <a href="${dates[i + 1]}.html" rel="next">${dates[i + 1]} →</a>` : "";
+    pages.set(
+      `${ARCHIVE_DIR}/${date}.html`,
+      page({
+        title: `${siteTitle}: ${date}`,
+        root,
+        nav: `${prev}${next}`,
+        footer,
+        body: groupedSections(archived.filter((r) => r.date === date), { ...common, root }),
+      })
+    );
+  });
+
+  for (const p of enabled) {
+    const root = "../";
+    const records = archived.filter((r) => r.publisherId === p.id).sort((a, b) => b.date.localeCompare(a.date));
+    pages.set(
+      `${PUBLISHERS_DIR}/${p.id}.html`,
+      page({
+        title: `${siteTitle}: ${p.name}`,
+        root,
+        nav: dateLinks(root),
+        feed: `feeds/publishers/${p.id}.atom`,
+        footer,
+        body: records.length
+          ? grid(records, { ...common, root, showDate: true })
+          : "<p>No covers archived for this publisher.</p>",
+      })
+    );
+  }
+
+  pages.set(`${ASSETS_DIR}/gallery.css`, CSS);
+  return pages;
+}
+
+/** Write buildGallery() under the site root, replacing earlier archive and publisher pages; returns the page count. */
+export function writeGallery(siteDir, options) {
+  const pages = buildGallery(options);
+  for (const dir of [ARCHIVE_DIR, PUBLISHERS_DIR]) fs.rmSync(path.join(siteDir, dir), { recursive: true, force: true });
+  for (const [rel, content] of pages) writeFileAtomic(path.join(siteDir, rel), content);
+  return [...pages.keys()].filter((rel) => rel.endsWith(".html")).length;
+}
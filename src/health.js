@@ -0,0 +1,172 @@
+import fs from "fs";
+import { writeFileAtomic, writeJsonAtomic } from "./atomic.js";
+import { addDays, formatDateInTimezone } from "./dates.js";
+import { statusOf } from "./history.js";
+import { archiveDaysFor, retentionCutoff } from "./retention.js";
+import { isPublicationDay } from "./schedule.js";
+
+/**
+ * health.js
+ * - Per-publisher health from the history, written to status.json after each run:
+ *
+ *   {
+ *     "generatedAt": "...",
+ *     "run": { "label": "Scrape", "ok": 40, "failed": 2, "failedIds": [...], "robotsBlocked": 3 },
+ *     "maxFailureStreak": 3,
+ *     "publishers": {
+ *       "marca": {
+ *         "lastSuccess": "2026-01-02",   // newest day with a cover (null if none on record)
+ *         "failureStreak": 0,            // failed publication days in a row, up to the newest
+ *         "successRate": 0.86,           // covers / (covers + failures) inside the retention window
+ *         "days": 7,                     // publication days counted in successRate
+ *         "lastError": null,             // error of the newest failed day
+ *         "sources": { "2026-01-02": "kiosko.net(direct)", ... }  // which source won each day
+ *       }
+ *     }
+ *   }
+ *
+ * - The streak walks back one calendar day at a time from the newest record: days without
+ *   an issue (a no_issue record, or not a publication day per schedule.js) are skipped, and
+ *   a publication day with no record at all ends it like a success would (the run that day
+ *   never happened, so it proves nothing). status.json is rebuilt from the history each
+ *   run; CI restores the published history before scraping (see daily.yml).
+ * - run.robotsBlocked counts this run's fetches refused by robots.txt (records' robotsBlocked).
+ * - formatRunSummary() renders the same data as Markdown for a CI job summary.
+ */
+
+// Failed publication days in a row, walking back from the newest record (see above)
+function failureStreakOf(records, publisher, holidays) {
+  const byDate = new Map(records.map((r) => [r.date, r]));
+  const dates = [...byDate.keys()].sort();
+  let streak = 0;
+  for (let d = dates[dates.length - 1]; d && d >= dates[0]; d = addDays(d, -1)) {
+    const record = byDate.get(d);
+    if (record ? statusOf(record) === "no_issue" : !isPublicationDay(publisher, d, { holidays })) continue;
+    if (!record || statusOf(record) !== "error") break;
+    streak++;
+  }
+  return streak;
+}
+
+/**
+ * Health of one publisher from its records (any order). `publisher` (its schedule) and
+ * `holidays` tell which days without a record were publication days.
+ */
+export function publisherHealth(records, { firstDay = null, publisher = null, holidays = {} } = {}) {
+  const days = records.filter((r) => statusOf(r) !== "no_issue").sort((a, b) => b.date.localeCompare(a.date));
+  const failureStreak = failureStreakOf(records, publisher, holidays);
+
+  const windowed = firstDay ? days.filter((r) => r.date >= firstDay) : days;
+  const ok = windowed.filter((r) => statusOf(r) === "ok");
+
+  const sources = {};
+  for (const r of [...ok].reverse()) if (r.source) sources[r.date] = r.source;
+
+  return {
+    lastSuccess: days.find((r) => statusOf(r) === "ok")?.date || null,
+    failureStreak,
+    successRate: windowed.length ? Math.round((ok.length / windowed.length) * 100) / 100 : null,
+    days: windowed.length,
+    lastError: days.find((r) => statusOf(r) === "error")?.error || null,
+    sources,
+  };
+}
+
+/** status.json document for every enabled publisher; `run` summarises this run's results. */
+export function buildStatus({
+  history = [],
+  results = [],
+  publishers = [],
+  legal = {},
+  holidays = {},
+  maxFailureStreak = null,
+  label = "Run",
+  now = new Date(),
+}) {
+  const today = formatDateInTimezone(now, "UTC");
+  const failed = results.filter((r) => statusOf(r) === "error");
+  const robotsBlocked = results.reduce((n, r) => n + (r.robotsBlocked || 0), 0);
+
+  const byPublisher = {};
+  for (const p of publishers.filter((x) => x.enabled)) {
+    const days = archiveDaysFor(p, legal);
+    const records = history.filter((r) => r.publisherId === p.id);
+    byPublisher[p.id] = publisherHealth(records, {
+      firstDay: days ? retentionCutoff(today, days) : null,
+      publisher: p,
+      holidays,
+    });
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    run: {
+      label,
+      ok: results.length - failed.length,
+      failed: failed.length,
+      failedIds: failed.map((r) => r.id),
+      robotsBlocked,
+    },
+    maxFailureStreak,
+    publishers: byPublisher,
+  };
+}
+
+/** Ids of `publisherIds` whose failure streak is above status.maxFailureStreak. */
+export function overFailureStreak(status, publisherIds) {
+  if (!status.maxFailureStreak) return [];
+  return publisherIds.filter((id) => (status.publishers[id]?.failureStreak || 0) > status.maxFailureStreak);
+}
+
+function percent(rate) {
+  return rate == null ? "–" : `${Math.round(rate * 100)}%`;
+}
+
+// Table cells may not contain pipes or newlines
+function cell(s) {
+  return String(s ?? "").replace(/\|/g, "\\|").replace(/\s+/g, " ").trim();
+}
+
+/** Markdown run summary (GitHub job summary flavour) of buildStatus() and this run's `results`. */
+export function formatRunSummary(status, results = []) {
+  const { run } = status;
+  const lines = [`## ${run.label}: ${run.ok} ok, ${run.failed} failed`, ""];
+
+  const warned = overFailureStreak(status, Object.keys(status.publishers));
+  if (warned.length) {
+    lines.push(`> **Warning:** failing for more than ${status.maxFailureStreak} days in a row: ${warned.join(", ")}`, "");
+  }
+  if (run.robotsBlocked) {
+    const ids = results.filter((r) => r.robotsBlocked).map((r) => r.publisherId);
+    lines.push(`> ${run.robotsBlocked} fetch(es) blocked by robots.txt: ${ids.join(", ")}`, "");
+  }
+
+  if (results.length) {
+    lines.push("| Publisher | Date | Result | Source | Streak | Success rate |", "| --- | --- | --- | --- | --- | --- |");
+    for (const r of results) {
+      const health = status.publishers[r.publisherId] || {};
+      const state = statusOf(r);
+      const result = state === "error" ? `❌ ${cell(r.error)}` : state === "no_issue" ? "– no issue" : "✅";
+      lines.push(
+        `| ${cell(r.publisherName || r.publisherId)} | ${r.date} | ${result} | ${cell(r.source || "")} | ` +
+          `${health.failureStreak ?? "–"} | ${percent(health.successRate)} |`
+      );
+    }
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Write status.json and the Markdown summary next to it (and append the summary to
+ * $GITHUB_STEP_SUMMARY when running in GitHub Actions); returns the status document.
+ */
+export function writeRunReport({ statusFile, summaryFile, ...options }) {
+  const status = buildStatus(options);
+  const summary = formatRunSummary(status, options.results);
+
+  writeJsonAtomic(statusFile, status);
+  writeFileAtomic(summaryFile, summary);
+  if (process.env.GITHUB_STEP_SUMMARY) fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `${summary}\n`);
+  return status;
+}
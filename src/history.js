@@ -0,0 +1,155 @@
+import fs from "fs";
+import path from "path";
+import { writeFileAtomic, writeJsonAtomic } from "./atomic.js";
+
+/**
+ * history.js
+ * - The archive keeps one record per publisher-day (id = <publisherId>-<date>).
+ * - mergeHistory() folds new records in: a cover beats "no issue", which beats an
+ *   error; between equals the newer record wins.
+ * - On disk it is partitioned by month, plus an index:
+ *     <dir>/index.json    { version, updatedAt, partitions: [{ month, file, records, dates }] }
+ *     <dir>/2025-12.json  [records of that month, by date then publisherId]
+ *   writeHistory() only rewrites partitions whose content changed.
+ * - migrateLegacyHistory() turns the old append-only covers.json (with repeated
+ *   runs of the same day) into partitions, one record per publisher-day.
+ */
+
+const STATUS_RANK = { error: 0, no_issue: 1, ok: 2 };
+
+export function recordKey(record) {
+  return `${record.publisherId}-${record.date}`;
+}
+
+/** "ok" | "no_issue" | "error"; records written before `status` existed only have `error` or image fields. */
+export function statusOf(record) {
+  if (record.status) return record.status;
+  if (record.error) return "error";
+  return record.imageMediumUrl ? "ok" : "no_issue";
+}
+
+function statusRank(record) {
+  return STATUS_RANK[statusOf(record)] ?? STATUS_RANK.error;
+}
+
+/** Merge `records` into `history`; existing publisher-days keep their position, new ones are appended. */
+export function mergeHistory(history = [], records = []) {
+  const out = [];
+  const index = new Map();
+
+  for (const record of [...history, ...records]) {
+    const key = recordKey(record);
+    if (!index.has(key)) {
+      index.set(key, out.length);
+      out.push(record);
+      continue;
+    }
+    const i = index.get(key);
+    if (statusRank(record) >= statusRank(out[i])) out[i] = record;
+  }
+  return out;
+}
+
+/** True when `record` has a cover whose medium image is on disk under `outputDir`. */
+export function hasArchivedImage(record, outputDir) {
+  if (!record || statusOf(record) !== "ok" || !record.imageMediumUrl) return false;
+  try {
+    return fs.statSync(path.join(outputDir, record.imageMediumUrl)).size > 0;
+  } catch {
+    return false;
+  }
+}
+
+const INDEX_FILE = "index.json";
+const INDEX_VERSION = 1;
+
+function monthOf(record) {
+  return String(record.date || "").slice(0, 7);
+}
+
+/** Stable record order for every file: by date, then publisherId. */
+export function compareRecords(a, b) {
+  return String(a.date).localeCompare(String(b.date)) || String(a.publisherId).localeCompare(String(b.publisherId));
+}
+
+export function readHistoryIndex(dir) {
+  const file = path.join(dir, INDEX_FILE);
+  if (!fs.existsSync(file)) return { version: INDEX_VERSION, updatedAt: null, partitions: [] };
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/** Every record of every partition, oldest month first. */
+export function readHistory(dir) {
+  const records = [];
+  for (const part of readHistoryIndex(dir).partitions) {
+    const file = path.join(dir, part.file);
+    if (fs.existsSync(file)) records.push(...JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+  return records;
+}
+
+/**
+ * Store `records` (already merged, see mergeHistory) as month partitions and refresh
+ * the index. Unchanged partitions are left alone; months with no records left are removed.
+ * Returns the months written.
+ */
+export function writeHistory(dir, records) {
+  const months = new Map();
+  for (const record of records) {
+    const month = monthOf(record);
+    if (!months.has(month)) months.set(month, []);
+    months.get(month).push(record);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const previous = readHistoryIndex(dir).partitions;
+  const written = [];
+  const partitions = [];
+
+  for (const month of [...months.keys()].sort()) {
+    const part = months.get(month).sort(compareRecords);
+    const file = `${month}.json`;
+    const json = JSON.stringify(part, null, 2);
+    const target = path.join(dir, file);
+    if (!fs.existsSync(target) || fs.readFileSync(target, "utf8") !== json) {
+      writeFileAtomic(target, json);
+      written.push(month);
+    }
+    partitions.push({ month, file, records: part.length, dates: [...new Set(part.map((r) => r.date))] });
+  }
+
+  for (const old of previous) {
+    if (!months.has(old.month)) fs.rmSync(path.join(dir, old.file), { force: true });
+  }
+
+  const unchanged = !written.length && previous.length === partitions.length;
+  if (!unchanged || !fs.existsSync(path.join(dir, INDEX_FILE))) {
+    const index = { version: INDEX_VERSION, updatedAt: new Date().toISOString(), partitions };
+    writeJsonAtomic(path.join(dir, INDEX_FILE), index);
+  }
+  return written;
+}
+
+/**
+ * Records of an append-only covers.json ([] if there is none), each with an explicit
+ * `status`: once retention strips its image fields, a legacy record could not tell it.
+ */
+export function readLegacyHistory(legacyFile) {
+  if (!fs.existsSync(legacyFile)) return [];
+  const legacy = JSON.parse(fs.readFileSync(legacyFile, "utf8"));
+  return (Array.isArray(legacy) ? legacy : []).map((r) => ({ ...r, status: statusOf(r) }));
+}
+
+/**
+ * One-off: fold an append-only covers.json into the partitioned store at `dir` and
+ * remove it. Returns { before, after } record counts, or null if there is no legacy file.
+ */
+export function migrateLegacyHistory(legacyFile, dir) {
+  if (!fs.existsSync(legacyFile)) return null;
+  const legacy = readLegacyHistory(legacyFile);
+  // Anything already partitioned is newer than the legacy file
+  const merged = mergeHistory(legacy, readHistory(dir));
+  writeHistory(dir, merged);
+  fs.rmSync(legacyFile);
+  return { before: legacy.length, after: merged.length };
+}
@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { writeFileAtomic } from "./atomic.js";
+
+/**
+ * httpcache.js
+ * - Run-scoped in-memory cache for GET responses (pages + image probes), keyed by
+ *   URL and Range. Concurrent identical requests share one in-flight promise, and
+ *   failures are remembered for the run too (a 404 probe is not retried by ranking).
+ * - Optional disk cache (dir): responses with ETag / Last-Modified are stored and
+ *   revalidated on the next run with If-None-Match / If-Modified-Since; a 304 serves
+ *   the stored body.
+ */
+
+const KEPT_HEADERS = ["content-type", "content-length", "content-encoding", "content-range", "etag", "last-modified"];
+
+export function createHttpCache({ dir = null } = {}) {
+  const memory = new Map();
+  const stats = { memoryHits: 0, revalidated: 0, fetched: 0, stored: 0, errors: 0 };
+  let diskDir = dir;
+
+  function diskPath(key) {
+    return path.join(diskDir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+  }
+
+  function readDisk(key) {
+    if (!diskDir) return null;
+    try {
+      const raw = JSON.parse(fs.readFileSync(diskPath(key), "utf8"));
+      if (raw.key !== key) return null;
+      return { status: raw.status, headers: raw.headers, data: Buffer.from(raw.body, "base64") };
+    } catch {
+      return null;
+    }
+  }
+
+  function writeDisk(key, entry) {
+    if (!diskDir) return;
+    try {
+      const body = { key, status: entry.status, headers: entry.headers, body: entry.data.toString("base64") };
+      writeFileAtomic(diskPath(key), JSON.stringify(body));
+      stats.stored++;
+    } catch {}
+  }
+
+  /**
+   * `doRequest(conditionalHeaders)` must perform the GET (responseType "arraybuffer")
+   * and accept 304. Resolves to { status, headers, data: Buffer }.
+   */
+  function get(key, doRequest) {
+    if (memory.has(key)) {
+      stats.memoryHits++;
+      return memory.get(key);
+    }
+
+    const pending = (async () => {
+      const stored = readDisk(key);
+      const conditional = {};
+      if (stored?.headers?.etag) conditional["If-None-Match"] = stored.headers.etag;
+      if (stored?.headers?.["last-modified"]) conditional["If-Modified-Since"] = stored.headers["last-modified"];
+
+      let res;
+      try {
+        res = await doRequest(conditional);
+      } catch (e) {
+        stats.errors++;
+        throw e;
+      }
+
+      if (res.status === 304) {
+        if (!stored) throw new Error(`304 without a cached copy for ${key}`);
+        stats.revalidated++;
+        return stored;
+      }
+
+      stats.fetched++;
+      const headers = {};
+      for (const h of KEPT_HEADERS) if (res.headers?.[h] != null) headers[h] = String(res.headers[h]);
+      const entry = { status: res.status, headers, data: Buffer.from(res.data) };
+
+      if (headers.etag || headers["last-modified"]) writeDisk(key, entry);
+      return entry;
+    })();
+
+    memory.set(key, pending);
+    return pending;
+  }
+
+  function configure({ dir: newDir = null } = {}) {
+    diskDir = newDir;
+  }
+
+  function clear() {
+    memory.clear();
+  }
+
+  return { get, configure, clear, stats };
+}
+
+export function formatCacheStats(stats) {
+  const lookups = stats.memoryHits + stats.revalidated + stats.fetched + stats.errors;
+  const hits = stats.memoryHits + stats.revalidated;
+  const rate = lookups ? Math.round((hits / lookups) * 100) : 0;
+  return (
+    `${lookups} lookups, ${stats.memoryHits} memory hits, ${stats.revalidated} revalidated (304), ` +
+    `${stats.fetched} fetched, ${stats.errors} failed, ${stats.stored} stored on disk (${rate}% hit rate)`
+  );
+}
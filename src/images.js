@@ -0,0 +1,208 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import encodeWebp, { init as initWebpEncoder } from "@jsquash/webp/encode.js";
+import decodeWebp, { init as initWebpDecoder } from "@jsquash/webp/decode.js";
+import { writeFileAtomic } from "./atomic.js";
+
+/**
+ * images.js
+ * - Pure JS image pipeline: decode (JPEG/PNG/WebP), downscale, re-encode to WebP.
+ * - Writes the small/medium/large derivatives configured in publishers.json `derivatives`.
+ * - With legal.display "thumbnails_only" the downloaded original is never kept.
+ * - Downloads are checked for completeness (JPEG EOI, PNG IEND, WebP RIFF length) before
+ *   they are renamed into place; derivatives are written atomically too (atomic.js).
+ */
+
+const require = createRequire(import.meta.url);
+
+export const DEFAULT_DERIVATIVES = {
+  format: "webp",
+  quality: 78,
+  sizes: {
+    small: { maxWidth: 240, maxHeight: 360 },
+    medium: { maxWidth: 600, maxHeight: 900 },
+    large: { maxWidth: 1200, maxHeight: 1800, enabled: false },
+  },
+};
+
+let webpReady = null;
+
+// The emscripten glue cannot fetch its .wasm in Node: compile it from node_modules once
+function ensureWebp() {
+  if (!webpReady) {
+    const load = (p) => WebAssembly.compile(fs.readFileSync(require.resolve(p)));
+    webpReady = Promise.all([
+      load("@jsquash/webp/codec/enc/webp_enc_simd.wasm")
+        .catch(() => load("@jsquash/webp/codec/enc/webp_enc.wasm"))
+        .then((m) => initWebpEncoder(m)),
+      load("@jsquash/webp/codec/dec/webp_dec.wasm").then((m) => initWebpDecoder(m)),
+    ]);
+  }
+  return webpReady;
+}
+
+function isWebp(buf) {
+  return (
+    buf.length >= 12 &&
+    buf.slice(0, 4).toString("ascii") === "RIFF" &&
+    buf.slice(8, 12).toString("ascii") === "WEBP"
+  );
+}
+
+/** Format from the magic bytes: "jpeg" | "png" | "webp" | "avif" | null. */
+export function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "jpeg";
+  if (buf.slice(0, 8).toString("hex") === "89504e470d0a1a0a") return "png";
+  if (isWebp(buf)) return "webp";
+  if (buf.slice(4, 12).toString("ascii") === "ftypavif") return "avif";
+  return null;
+}
+
+export const IMAGE_EXTENSIONS = { jpeg: ".jpg", png: ".png", webp: ".webp", avif: ".avif" };
+
+/**
+ * Why `buf` (of format `type`, see sniffImageType) looks cut short, or null:
+ * JPEG must end with EOI (trailing padding allowed), PNG with its IEND chunk,
+ * and a WebP must be as long as its RIFF header says. AVIF is not checked.
+ */
+export function incompleteImageReason(buf, type) {
+  if (type === "jpeg") {
+    let end = buf.length;
+    while (end > 2 && [0x00, 0x0a, 0x0d, 0x20].includes(buf[end - 1])) end--;
+    return buf[end - 2] === 0xff && buf[end - 1] === 0xd9 ? null : "JPEG has no end-of-image marker";
+  }
+  if (type === "png") {
+    return buf.length >= 12 && buf.slice(-8, -4).toString("ascii") === "IEND" ? null : "PNG has no IEND chunk";
+  }
+  if (type === "webp") {
+    const expected = buf.readUInt32LE(4) + 8;
+    return buf.length >= expected ? null : `WebP is ${buf.length} of ${expected} bytes`;
+  }
+  return null;
+}
+
+/** Decode a JPEG/PNG/WebP buffer into { width, height, data: RGBA }, or null if unsupported/corrupt. */
+export async function decodeImage(buf) {
+  if (!buf || buf.length < 12) return null;
+  try {
+    if (buf[0] === 0xff && buf[1] === 0xd8) {
+      const img = jpeg.decode(buf, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+      return { width: img.width, height: img.height, data: img.data };
+    }
+    if (buf.slice(0, 8).toString("hex") === "89504e470d0a1a0a") {
+      const img = PNG.sync.read(buf);
+      return { width: img.width, height: img.height, data: img.data };
+    }
+    if (isWebp(buf)) {
+      await ensureWebp();
+      const ab = buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+      const img = await decodeWebp(ab);
+      return { width: img.width, height: img.height, data: img.data };
+    }
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+/** Largest size fitting in maxWidth x maxHeight with the same aspect ratio; never upscales. */
+export function fitWithin(width, height, maxWidth, maxHeight) {
+  const scale = Math.min(1, (maxWidth || Infinity) / width, (maxHeight || Infinity) / height);
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+/** Area-average (box filter) downscale of an RGBA image. */
+export function resizeRgba(image, width, height) {
+  const { width: sw, height: sh, data } = image;
+  if (sw === width && sh === height) return image;
+
+  const out = new Uint8ClampedArray(width * height * 4);
+  const xRatio = sw / width;
+  const yRatio = sh / height;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * yRatio);
+    const y1 = Math.max(y0 + 1, Math.min(sh, Math.floor((y + 1) * yRatio)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * xRatio);
+      const x1 = Math.max(x0 + 1, Math.min(sw, Math.floor((x + 1) * xRatio)));
+
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        let i = (sy * sw + x0) * 4;
+        for (let sx = x0; sx < x1; sx++, i += 4) {
+          r += data[i];
+          g += data[i + 1];
+          b += data[i + 2];
+          a += data[i + 3];
+        }
+      }
+      const n = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      out[o] = r / n;
+      out[o + 1] = g / n;
+      out[o + 2] = b / n;
+      out[o + 3] = a / n;
+    }
+  }
+
+  return { width, height, data: out };
+}
+
+export async function encodeWebpBuffer(image, quality) {
+  await ensureWebp();
+  const data =
+    image.data instanceof Uint8ClampedArray
+      ? image.data
+      : new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length);
+  const ab = await encodeWebp({ width: image.width, height: image.height, data }, { quality });
+  return Buffer.from(ab);
+}
+
+function derivativeConfig(config = {}) {
+  return {
+    ...DEFAULT_DERIVATIVES,
+    ...config,
+    sizes: { ...DEFAULT_DERIVATIVES.sizes, ...(config.sizes || {}) },
+  };
+}
+
+/** { small: "<dateStr>-small.webp", medium: ... } for the sizes `config` enables. */
+export function derivativeFiles(dateStr, config = {}) {
+  const cfg = derivativeConfig(config);
+  const out = {};
+  for (const [name, size] of Object.entries(cfg.sizes)) {
+    if (size && size.enabled !== false) out[name] = `${dateStr}-${name}.${cfg.format}`;
+  }
+  return out;
+}
+
+/**
+ * Write <dateStr>-<size>.webp derivatives for `sourcePath` into `outputDir`.
+ * Returns { small, medium, large? } -> { file, width, height, bytes }.
+ */
+export async function generateDerivatives(sourcePath, outputDir, dateStr, config = {}) {
+  const cfg = derivativeConfig(config);
+  if (cfg.format !== "webp") throw new Error(`Unsupported derivative format "${cfg.format}"`);
+
+  const image = await decodeImage(fs.readFileSync(sourcePath));
+  if (!image) throw new Error(`Cannot decode ${path.basename(sourcePath)} for derivatives`);
+
+  const out = {};
+  for (const [name, file] of Object.entries(derivativeFiles(dateStr, cfg))) {
+    const size = cfg.sizes[name];
+    const dims = fitWithin(image.width, image.height, size.maxWidth, size.maxHeight);
+    const resized = resizeRgba(image, dims.width, dims.height);
+    const buf = await encodeWebpBuffer(resized, size.quality ?? cfg.quality);
+
+    writeFileAtomic(path.join(outputDir, file), buf);
+    out[name] = { file, width: dims.width, height: dims.height, bytes: buf.length };
+  }
+
+  if (!out.medium) throw new Error("Derivatives config must produce a medium size");
+  return out;
+}
@@ -0,0 +1,142 @@
+import fs from "fs";
+import path from "path";
+import { createWorker } from "tesseract.js";
+import { normalizeText } from "./aggregators.js";
+
+/**
+ * ocr.js
+ * - Optional OCR stage for saved covers (tesseract.js, LSTM only).
+ * - Runs offline: traineddata is read from OCR_LANG_PATH (default ./tessdata),
+ *   e.g. tessdata/spa.traineddata. Nothing is downloaded or written back.
+ * - Enabled with OCR_ENABLED=1 (or build.js --ocr).
+ */
+
+export const OCR_LANG_BY_COUNTRY = {
+  ES: "spa",
+  FR: "fra",
+  IT: "ita",
+  PT: "por",
+  UK: "eng",
+  DE: "deu",
+};
+
+export function ocrEnabledFromEnv() {
+  return ["1", "true", "yes"].includes(String(process.env.OCR_ENABLED || "").toLowerCase());
+}
+
+export function ocrLangFor(publisher) {
+  return publisher?.ocrLang || OCR_LANG_BY_COUNTRY[publisher?.country] || "eng";
+}
+
+function cleanLine(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+// OCR noise on photos comes out as short, symbol-heavy fragments
+function looksLikeWords(text) {
+  const compact = text.replace(/\s+/g, "");
+  const letters = (compact.match(/\p{L}/gu) || []).length;
+  return /\p{L}{3,}/u.test(text) && letters / compact.length >= 0.7;
+}
+
+/**
+ * Pick the main headline (tallest text block below the masthead) and its kicker
+ * (the smaller line right above it) from OCR lines: [{ text, confidence, bbox }].
+ */
+export function extractHeadline(lines, { publisherName = "", minConfidence = 50 } = {}) {
+  const pageHeight = Math.max(0, ...lines.map((l) => l?.bbox?.y1 || 0));
+  const masthead = normalizeText(publisherName);
+
+  const usable = lines
+    .map((l) => ({ ...l, text: cleanLine(l.text), height: (l.bbox?.y1 || 0) - (l.bbox?.y0 || 0) }))
+    .filter((l) => looksLikeWords(l.text))
+    .filter((l) => (l.confidence ?? 0) >= minConfidence && l.height > 0)
+    // The masthead is usually the biggest type on the page
+    .filter((l) => l.bbox.y0 > pageHeight * 0.1)
+    .filter((l) => !masthead || normalizeText(l.text) !== masthead)
+    .sort((a, b) => a.bbox.y0 - b.bbox.y0);
+
+  if (!usable.length) return { headline: null, kicker: null };
+
+  const tallest = usable.reduce((best, l) => (l.height > best.height ? l : best));
+  const minHeight = tallest.height * 0.75;
+
+  // Grow the headline block from the tallest line through adjacent lines of similar size
+  const idx = usable.indexOf(tallest);
+  let start = idx;
+  let end = idx;
+  const near = (a, b) => b.bbox.y0 - a.bbox.y1 < tallest.height * 1.5;
+  while (start > 0 && usable[start - 1].height >= minHeight && near(usable[start - 1], usable[start])) start--;
+  while (end < usable.length - 1 && usable[end + 1].height >= minHeight && near(usable[end], usable[end + 1])) end++;
+
+  const headline = usable.slice(start, end + 1).map((l) => l.text).join(" ");
+
+  const above = usable[start - 1];
+  const kicker =
+    above && above.height < minHeight && usable[start].bbox.y0 - above.bbox.y1 < tallest.height * 2
+      ? above.text
+      : null;
+
+  return { headline, kicker };
+}
+
+function linesFromBlocks(blocks) {
+  const out = [];
+  for (const block of blocks || []) {
+    for (const para of block.paragraphs || []) {
+      for (const line of para.lines || []) out.push(line);
+    }
+  }
+  return out;
+}
+
+/**
+ * One tesseract worker per language, created lazily and reused across covers.
+ * Call close() when the run is done.
+ */
+export function createCoverOcr({ langPath = process.env.OCR_LANG_PATH || "./tessdata" } = {}) {
+  const workers = new Map();
+  const dir = path.resolve(langPath);
+
+  async function workerFor(lang) {
+    if (!workers.has(lang)) {
+      if (!fs.existsSync(path.join(dir, `${lang}.traineddata`))) {
+        throw new Error(`OCR traineddata missing: ${path.join(dir, `${lang}.traineddata`)}`);
+      }
+      workers.set(
+        lang,
+        createWorker(lang, 1, { langPath: dir, cachePath: dir, cacheMethod: "readOnly", gzip: false })
+      );
+    }
+    return workers.get(lang);
+  }
+
+  async function recognizeCover(imagePath, publisher) {
+    const lang = ocrLangFor(publisher);
+    const worker = await workerFor(lang);
+    const { data } = await worker.recognize(imagePath, {}, { text: true, blocks: true });
+
+    const { headline, kicker } = extractHeadline(linesFromBlocks(data.blocks), {
+      publisherName: publisher?.name,
+    });
+
+    return {
+      headline,
+      kicker,
+      ocrText: String(data.text || "").trim() || null,
+      ocrConfidence: Math.round(data.confidence ?? 0),
+      ocrLang: lang,
+    };
+  }
+
+  async function close() {
+    for (const w of workers.values()) {
+      try {
+        await (await w).terminate();
+      } catch {}
+    }
+    workers.clear();
+  }
+
+  return { recognizeCover, close };
+}
@@ -0,0 +1,127 @@
+import fs from "fs";
+import path from "path";
+import { decodeImage } from "./images.js";
+
+/**
+ * phash.js
+ * - Perceptual difference hash (dHash, 64 bits) for downloaded covers.
+ * - Used to spot sources that silently serve a previous day's cover:
+ *   near-identical hashes (small Hamming distance) mean "same front page".
+ * - Decoding is shared with the derivative pipeline (images.js): JPEG, PNG and WebP.
+ */
+
+export const DEFAULT_STALE_CHECK = {
+  enabled: true,
+  maxDistance: 6, // out of 64 bits
+  lookbackDays: 7,
+  onStale: "reject", // "reject" = try the next candidate, "flag" = keep it with stale: true
+};
+
+// Box-filter downscale to w x h grayscale (luma), averaging every source pixel in each cell
+function grayscaleThumb({ width, height, data }, w, h) {
+  const sums = new Float64Array(w * h);
+  const counts = new Uint32Array(w * h);
+
+  for (let y = 0; y < height; y++) {
+    const ty = Math.min(h - 1, Math.floor((y * h) / height));
+    for (let x = 0; x < width; x++) {
+      const tx = Math.min(w - 1, Math.floor((x * w) / width));
+      const i = (y * width + x) * 4;
+      const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      sums[ty * w + tx] += luma;
+      counts[ty * w + tx]++;
+    }
+  }
+
+  return Array.from(sums, (s, i) => (counts[i] ? s / counts[i] : 0));
+}
+
+/** 64-bit dHash as 16 hex chars (9x8 thumbnail, left < right per row). */
+export function dHash(image) {
+  const px = grayscaleThumb(image, 9, 8);
+  let hex = "";
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      byte = (byte << 1) | (px[row * 9 + col] < px[row * 9 + col + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let d = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let x = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (x) {
+      d += x & 1;
+      x >>= 1;
+    }
+  }
+  return d;
+}
+
+const hashCache = new Map();
+
+/** dHash of an image file (memoized by path + mtime), or null when it cannot be decoded. */
+export async function hashImageFile(filepath) {
+  let stat;
+  try {
+    stat = fs.statSync(filepath);
+  } catch {
+    return null;
+  }
+  const key = `${filepath}:${stat.mtimeMs}:${stat.size}`;
+  if (!hashCache.has(key)) {
+    const img = await decodeImage(fs.readFileSync(filepath));
+    hashCache.set(key, img ? dHash(img) : null);
+  }
+  return hashCache.get(key);
+}
+
+/**
+ * Archived covers in `dir` (files named <YYYY-MM-DD>-<size>.<ext>) dated strictly
+ * before `dateStr` and at most `lookbackDays` back, newest first. One file per date,
+ * preferring the medium derivative.
+ */
+export function previousCoverFiles(dir, dateStr, lookbackDays = DEFAULT_STALE_CHECK.lookbackDays) {
+  if (!fs.existsSync(dir)) return [];
+  const rank = (name) => (name.includes("-medium.") ? 0 : 1);
+  const oldest = new Date(`${dateStr}T00:00:00Z`);
+  oldest.setUTCDate(oldest.getUTCDate() - lookbackDays);
+  const oldestStr = oldest.toISOString().split("T")[0];
+
+  return fs
+    .readdirSync(dir)
+    .map((name) => ({ name, date: (name.match(/^(\d{4}-\d{2}-\d{2})-/) || [])[1] }))
+    .filter((f) => f.date && f.date < dateStr && f.date >= oldestStr && !f.name.endsWith(".stale"))
+    .sort((a, b) => b.date.localeCompare(a.date) || rank(a.name) - rank(b.name))
+    .filter((f, i, arr) => i === 0 || arr[i - 1].date !== f.date)
+    .map((f) => ({ date: f.date, path: path.join(dir, f.name) }));
+}
+
+/**
+ * Compare `filepath` against the publisher's previous covers in `dir`.
+ * Returns { phash, stale, matchedDate, distance }; phash is null when the format is not supported.
+ */
+export async function checkStale(filepath, dir, dateStr, opts = {}) {
+  const { maxDistance, lookbackDays } = { ...DEFAULT_STALE_CHECK, ...opts };
+  const phash = await hashImageFile(filepath);
+  if (!phash) return { phash: null, stale: false, matchedDate: null, distance: null };
+
+  let best = { distance: Infinity, date: null };
+  for (const prev of previousCoverFiles(dir, dateStr, lookbackDays)) {
+    const distance = hammingDistance(phash, await hashImageFile(prev.path));
+    if (distance < best.distance) best = { distance, date: prev.date };
+  }
+
+  const stale = best.distance <= maxDistance;
+  return {
+    phash,
+    stale,
+    matchedDate: stale ? best.date : null,
+    distance: Number.isFinite(best.distance) ? best.distance : null,
+  };
+}
@@ -0,0 +1,130 @@
+import fs from "fs";
+import path from "path";
+import { addDays } from "./dates.js";
+import { statusOf } from "./history.js";
+
+/**
+ * retention.js
+ * - Enforces legal.archiveDays on archived images and history records.
+ * - Window per publisher: publisher.legal.archiveDays overrides the global legal.archiveDays.
+ * - With legal.keepMetadata, expired records are kept without their image fields
+ *   (so statistics survive); otherwise they are dropped.
+ * - dryRun computes the same report without touching anything.
+ */
+
+const IMAGE_FIELDS = ["imageSmallUrl", "imageMediumUrl", "imageLargeUrl", "imageOriginalUrl"];
+
+/** Days `publisher` covers are kept: its own legal.archiveDays, else the global one (null = forever). */
+export function archiveDaysFor(publisher, legal) {
+  return publisher?.legal?.archiveDays ?? legal?.archiveDays ?? null;
+}
+
+/** First date still inside the window: `archiveDays` days counting `today`. */
+export function retentionCutoff(today, archiveDays) {
+  return addDays(today, -(archiveDays - 1));
+}
+
+function listArchivedImages(imagesDir) {
+  const out = [];
+  if (!fs.existsSync(imagesDir)) return out;
+
+  for (const country of fs.readdirSync(imagesDir)) {
+    const countryDir = path.join(imagesDir, country);
+    if (!fs.statSync(countryDir).isDirectory()) continue;
+
+    for (const publisherId of fs.readdirSync(countryDir)) {
+      const dir = path.join(countryDir, publisherId);
+      if (!fs.statSync(dir).isDirectory()) continue;
+
+      for (const name of fs.readdirSync(dir)) {
+        const date = (name.match(/^(\d{4}-\d{2}-\d{2})-/) || [])[1];
+        if (date) out.push({ publisherId, date, path: path.join(dir, name) });
+      }
+    }
+  }
+  return out;
+}
+
+// `status` first: a legacy record without one is only "ok" through its imageMediumUrl
+function stripImageFields(record) {
+  const out = { ...record, status: statusOf(record) };
+  for (const f of IMAGE_FIELDS) delete out[f];
+  return out;
+}
+
+/**
+ * Apply the retention window.
+ * - history: array of records (see history.js); returns the pruned copy
+ * - outputDir: site root that record image URLs (./data/images/...) are relative to
+ *
+ * Returns { history, report: { imagesDeleted, recordsDropped, recordsReduced } }.
+ */
+export function applyRetention({
+  history = [],
+  imagesDir,
+  outputDir,
+  publishers = [],
+  legal = {},
+  today,
+  dryRun = false,
+}) {
+  const publishersById = new Map(publishers.map((p) => [p.id, p]));
+  const keepMetadata = Boolean(legal?.keepMetadata);
+
+  const isExpired = (publisherId, date) => {
+    const days = archiveDaysFor(publishersById.get(publisherId), legal);
+    if (!days || !date) return false;
+    return date < retentionCutoff(today, days);
+  };
+
+  const report = { imagesDeleted: [], recordsDropped: [], recordsReduced: [] };
+
+  for (const img of listArchivedImages(imagesDir)) {
+    if (!isExpired(img.publisherId, img.date)) continue;
+    report.imagesDeleted.push(img.path);
+    if (!dryRun) fs.rmSync(img.path, { force: true });
+  }
+
+  const deleted = new Set(report.imagesDeleted.map((p) => path.resolve(p)));
+  const pointsAtDeleted = (url) => url && deleted.has(path.resolve(outputDir, url));
+
+  const kept = [];
+  for (const record of history) {
+    if (isExpired(record.publisherId, record.date)) {
+      if (keepMetadata) {
+        kept.push({ ...stripImageFields(record), imageExpired: true });
+        report.recordsReduced.push(record.id);
+      } else {
+        report.recordsDropped.push(record.id);
+      }
+      continue;
+    }
+
+    // e.g. a no_issue record still pointing at an expired current-issue image
+    if (IMAGE_FIELDS.some((f) => pointsAtDeleted(record[f]))) {
+      kept.push({ ...stripImageFields(record), imageExpired: true });
+      report.recordsReduced.push(record.id);
+      continue;
+    }
+
+    kept.push(record);
+  }
+
+  return { history: kept, report };
+}
+
+export function formatRetentionReport(report, { dryRun = false } = {}) {
+  const [del, drop, reduce] = dryRun
+    ? ["Would delete", "would drop", "would reduce"]
+    : ["Deleted", "dropped", "reduced"];
+  const lines = [
+    `${del} ${report.imagesDeleted.length} image(s), ${drop} ${report.recordsDropped.length} record(s), ` +
+      `${reduce} ${report.recordsReduced.length} record(s) to metadata.`,
+  ];
+  if (dryRun) {
+    for (const p of report.imagesDeleted) lines.push(`  image:  ${p}`);
+    for (const id of report.recordsDropped) lines.push(`  drop:   ${id}`);
+    for (const id of report.recordsReduced) lines.push(`  reduce: ${id}`);
+  }
+  return lines.join("\n");
+}
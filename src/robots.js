@@ -0,0 +1,146 @@
+/**
+ * robots.js
+ * - robots.txt (RFC 9309) for every request the scraper makes: parseRobots() groups the
+ *   rules by user agent; robotsVerdict() applies the longest matching Allow / Disallow
+ *   rule ("*" and "$" wildcards, Allow wins a tie) plus the group's Crawl-delay.
+ * - createRobotsPolicy() fetches one robots.txt per origin and caches it (ROBOTS_TTL_MS).
+ *   A 4xx answer means no restrictions; a 5xx or unreachable robots.txt blocks the whole
+ *   origin, as the RFC asks. A Crawl-delay above maxCrawlDelayMs blocks it too: waiting
+ *   that long between requests would stall the run, and ignoring it would not be polite.
+ */
+
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_MAX_CRAWL_DELAY_MS = 30000;
+
+/** "sportscovers-data/1.0 (+https://...)" -> "sportscovers-data", matched against User-agent lines. */
+export function userAgentToken(userAgent) {
+  return String(userAgent || "").trim().split(/[/\s]/)[0].toLowerCase();
+}
+
+/** Groups of { agents: [lowercase], rules: [{ allow, path }], crawlDelay: seconds | null }. */
+export function parseRobots(text) {
+  const groups = [];
+  let group = null;
+  let inAgents = false;
+
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const m = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (key === "user-agent") {
+      // Consecutive User-agent lines share one group
+      if (!inAgents) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      inAgents = true;
+      continue;
+    }
+    inAgents = false;
+    if (!group) continue;
+
+    if (key === "allow" || key === "disallow") {
+      // An empty Disallow allows everything; it adds no rule
+      if (value) group.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay") {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelay = seconds;
+    }
+  }
+  return groups;
+}
+
+function patternMatches(pattern, target) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`).test(target);
+}
+
+// The groups naming this crawler, merged; else the "*" groups
+function groupsFor(groups, token) {
+  const own = groups.filter((g) => g.agents.includes(token));
+  return own.length ? own : groups.filter((g) => g.agents.includes("*"));
+}
+
+/**
+ * Verdict for `pathAndQuery` ("/portada?x=1"): { allowed, rule: "Disallow: /x" | null,
+ * crawlDelayMs: number | null }.
+ */
+export function robotsVerdict(groups, token, pathAndQuery) {
+  const applicable = groupsFor(groups, token);
+  let best = null;
+  for (const rule of applicable.flatMap((g) => g.rules)) {
+    if (!patternMatches(rule.path, pathAndQuery)) continue;
+    const longer = !best || rule.path.length > best.path.length;
+    const tieAllow = best && rule.path.length === best.path.length && rule.allow && !best.allow;
+    if (longer || tieAllow) best = rule;
+  }
+
+  const delays = applicable.map((g) => g.crawlDelay).filter((d) => d != null);
+  return {
+    allowed: !best || best.allow,
+    rule: best ? `${best.allow ? "Allow" : "Disallow"}: ${best.path}` : null,
+    crawlDelayMs: delays.length ? Math.max(...delays) * 1000 : null,
+  };
+}
+
+/**
+ * `fetchRobots(robotsUrl)` resolves to { status, text } and throws when the host cannot be
+ * reached. check(url) resolves to { allowed, rule, crawlDelayMs }; `rule` explains a block.
+ */
+export function createRobotsPolicy({ fetchRobots, userAgent = "", enabled = true, maxCrawlDelayMs } = {}) {
+  const cache = new Map(); // origin -> { at, groups: Promise<groups | { unreachable }> }
+  let config = { userAgent, enabled, maxCrawlDelayMs: maxCrawlDelayMs ?? DEFAULT_MAX_CRAWL_DELAY_MS };
+
+  async function load(origin) {
+    try {
+      const { status, text } = await fetchRobots(`${origin}/robots.txt`);
+      if (status >= 200 && status < 300) return parseRobots(text);
+      if (status >= 400 && status < 500) return [];
+      return { unreachable: `robots.txt answered ${status}` };
+    } catch (e) {
+      return { unreachable: `robots.txt unreachable (${e?.message || e})` };
+    }
+  }
+
+  function groupsOf(origin) {
+    const hit = cache.get(origin);
+    if (hit && Date.now() - hit.at < ROBOTS_TTL_MS) return hit.groups;
+    const groups = load(origin);
+    cache.set(origin, { at: Date.now(), groups });
+    return groups;
+  }
+
+  async function check(url) {
+    if (!config.enabled) return { allowed: true, rule: null, crawlDelayMs: null };
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: true, rule: null, crawlDelayMs: null };
+    }
+    if (parsed.pathname === "/robots.txt") return { allowed: true, rule: null, crawlDelayMs: null };
+
+    const groups = await groupsOf(parsed.origin);
+    if (groups.unreachable) return { allowed: false, rule: groups.unreachable, crawlDelayMs: null };
+
+    const verdict = robotsVerdict(groups, userAgentToken(config.userAgent), `${parsed.pathname}${parsed.search}`);
+    if (verdict.allowed && verdict.crawlDelayMs > config.maxCrawlDelayMs) {
+      return { ...verdict, allowed: false, rule: `Crawl-delay: ${verdict.crawlDelayMs / 1000} above the configured maximum` };
+    }
+    return verdict;
+  }
+
+  function configure(changes = {}) {
+    config = { ...config, ...Object.fromEntries(Object.entries(changes).filter(([, v]) => v != null)) };
+  }
+
+  return { check, configure, clear: () => cache.clear() };
+}
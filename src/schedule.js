@@ -0,0 +1,60 @@
+import { addDays } from "./dates.js";
+
+/**
+ * schedule.js
+ * - Publication schedules for non-daily titles (publishers.json `schedule`).
+ *
+ *   "schedule": {
+ *     "weekdays": ["mon", "thu"],     // print days (default: every day)
+ *     "intervalWeeks": 2,             // optional: every N weeks, counted from anchorDate
+ *     "anchorDate": "2025-12-01",     // a known issue date (required when intervalWeeks > 1)
+ *     "noPrintDates": ["2025-12-25"]  // publisher-specific days without an issue
+ *   }
+ *
+ * Country-wide no-print days live in the top-level `holidays` map ({ "ES": [...] }).
+ */
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// How far back latestIssueDate() looks before giving up
+const MAX_LOOKBACK_DAYS = 62;
+
+function weekdayOf(dateStr) {
+  return WEEKDAYS[new Date(`${dateStr}T00:00:00Z`).getUTCDay()];
+}
+
+function daysBetween(fromStr, toStr) {
+  return Math.round((Date.parse(`${toStr}T00:00:00Z`) - Date.parse(`${fromStr}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * True when `publisher` prints an issue on `dateStr`.
+ * Publishers without a `schedule` print every day.
+ */
+export function isPublicationDay(publisher, dateStr, { holidays = {} } = {}) {
+  const schedule = publisher?.schedule || {};
+
+  const countryHolidays = holidays?.[publisher?.country] || [];
+  if (countryHolidays.includes(dateStr)) return false;
+  if ((schedule.noPrintDates || []).includes(dateStr)) return false;
+
+  const weekdays = (schedule.weekdays || []).map((d) => String(d).toLowerCase().slice(0, 3));
+  if (weekdays.length && !weekdays.includes(weekdayOf(dateStr))) return false;
+
+  const interval = schedule.intervalWeeks || 1;
+  if (interval > 1 && schedule.anchorDate) {
+    const weeks = Math.floor(daysBetween(schedule.anchorDate, dateStr) / 7);
+    if (((weeks % interval) + interval) % interval !== 0) return false;
+  }
+
+  return true;
+}
+
+/** Most recent publication day on or before `dateStr`, or null if none in the lookback window. */
+export function latestIssueDate(publisher, dateStr, opts = {}) {
+  for (let i = 0; i <= MAX_LOOKBACK_DAYS; i++) {
+    const d = addDays(dateStr, -i);
+    if (isPublicationDay(publisher, d, opts)) return d;
+  }
+  return null;
+}
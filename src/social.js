@@ -0,0 +1,120 @@
+import * as cheerio from "cheerio";
+import { formatDateInTimezone } from "./dates.js";
+import { normalizeText } from "./aggregators.js";
+
+/**
+ * social.js
+ * - Social-media cover source: X/Twitter timelines read through a Nitter front-end.
+ * - Parsing and post selection are pure (HTML in, candidates out) so they can be
+ *   run against saved timeline pages.
+ */
+
+export const NITTER_BASE_URL = process.env.NITTER_BASE_URL || "https://nitter.net";
+
+/**
+ * Map a twitter.com / x.com profile URL (or a bare handle) to its Nitter timeline.
+ * Nitter URLs are returned unchanged.
+ */
+export function nitterUrlForProfile(profileUrl, nitterBase = NITTER_BASE_URL) {
+  const raw = String(profileUrl || "").trim();
+  if (!raw) return null;
+
+  let handle = raw.replace(/^@/, "");
+  try {
+    const u = new URL(raw);
+    const host = u.hostname.replace(/^www\./, "").replace(/^mobile\./, "");
+    if (host !== "twitter.com" && host !== "x.com") return raw;
+    handle = u.pathname.split("/").filter(Boolean)[0] || "";
+  } catch {
+    // bare handle
+  }
+
+  if (!/^[A-Za-z0-9_]{1,30}$/.test(handle)) return null;
+  return `${nitterBase.replace(/\/+$/, "")}/${handle}`;
+}
+
+/**
+ * Nitter proxies media as /pic/[orig/]media%2F<name>.<ext>[%3Fname%3Dsmall].
+ * Prefer the original-size pbs.twimg.com URL when it can be recovered.
+ */
+export function resolveNitterMediaUrl(raw, pageUrl) {
+  if (!raw) return null;
+  let abs;
+  try {
+    abs = new URL(raw, pageUrl);
+  } catch {
+    return null;
+  }
+
+  const m = abs.pathname.match(/^\/pic\/(?:orig\/)?(.+)$/);
+  if (m) {
+    const decoded = decodeURIComponent(m[1]).split("?")[0];
+    if (decoded.startsWith("media/")) return `https://pbs.twimg.com/${decoded}?name=orig`;
+    if (decoded.startsWith("pbs.twimg.com/")) return `https://${decoded}`;
+  }
+  return abs.href;
+}
+
+function parseNitterDate(title) {
+  // "Dec 17, 2025 · 10:45 PM UTC"
+  const s = String(title || "").replace(/\s*·\s*/, " ").trim();
+  if (!s) return null;
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+/**
+ * Parse a Nitter timeline page into posts:
+ * { id, url, postedAt, text, media: [url], isRetweet, isPinned }
+ */
+export function parseNitterTimeline(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const posts = [];
+
+  $(".timeline-item").each((_, el) => {
+    const item = $(el);
+    if (item.hasClass("show-more")) return;
+
+    const link = item.find("a.tweet-link").attr("href") || item.find(".tweet-date a").attr("href") || "";
+    const id = (link.match(/\/status\/(\d+)/) || [])[1] || null;
+
+    const media = [];
+    item.find(".attachments a.still-image, .attachments img").each((_, m) => {
+      const node = $(m);
+      const u = resolveNitterMediaUrl(node.attr("href") || node.attr("src"), pageUrl);
+      if (u) media.push(u);
+    });
+
+    posts.push({
+      id,
+      url: link ? new URL(link.replace(/#m$/, ""), pageUrl).href : null,
+      postedAt: parseNitterDate(item.find(".tweet-date a").attr("title")),
+      text: item.find(".tweet-content").first().text().trim(),
+      media: [...new Set(media)],
+      isRetweet: item.find(".retweet-header").length > 0,
+      isPinned: item.find(".pinned").length > 0,
+    });
+  });
+
+  return posts;
+}
+
+/**
+ * Latest own post with media whose publication date, in `timezone`, is the
+ * edition date. When `keywords` are given, the caption must contain one of them.
+ */
+export function pickEditionPost(posts, { dateStr, timezone, keywords = [] } = {}) {
+  const wanted = (keywords || []).map(normalizeText).filter(Boolean);
+
+  const matches = (posts || [])
+    .filter((p) => p?.media?.length && p.postedAt && !p.isRetweet)
+    .filter((p) => formatDateInTimezone(p.postedAt, timezone) === dateStr)
+    .filter((p) => {
+      if (!wanted.length) return true;
+      const text = normalizeText(p.text);
+      return wanted.some((k) => text.includes(k));
+    });
+
+  matches.sort((a, b) => String(b.postedAt).localeCompare(String(a.postedAt)));
+  return matches[0] || null;
+}
@@ -0,0 +1,164 @@
+import fs from "fs";
+import path from "path";
+import { writeJsonAtomic } from "./atomic.js";
+import {
+  compareRecords,
+  mergeHistory,
+  migrateLegacyHistory,
+  readHistory,
+  readLegacyHistory,
+  writeHistory,
+} from "./history.js";
+
+/**
+ * store.js
+ * - The one owner of the records under <site>/data: today.json (the latest run) and the
+ *   partitioned history (history.js). fetchCover() only returns data; build.js puts the
+ *   records it builds here.
+ * - Every file is written atomically (atomic.js) in a stable order (date, publisherId).
+ * - lock() keeps two writing runs off the same data dir: <dataDir>/.lock holds the owner's
+ *   pid; a lock whose process is gone (or older than LOCK_STALE_MS) is taken over.
+ * - knownGoodCover() answers "which image did we already accept for this publisher-day?"
+ *   from today.json, then the history; fetchCover() uses it as its "today.json" source.
+ */
+
+const LOCK_FILE = ".lock";
+const LOCK_STALE_MS = 6 * 60 * 60 * 1000;
+
+function lockedError(lockFile, owner) {
+  return new Error(
+    `${lockFile} is held by pid ${owner?.pid ?? "?"} since ${owner?.since ?? "?"}: ` +
+      "another run is writing this site (delete the file if that run is gone)"
+  );
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0); // signal 0: existence check only
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+function readJsonArray(file) {
+  if (!fs.existsSync(file)) return [];
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(data) ? data : [];
+}
+
+function isGoodCover(record) {
+  if (!record?.sourceUrl || record.error || record.dryRun) return false;
+  return !record.status || record.status === "ok";
+}
+
+/**
+ * Data store rooted at `dataDir` (<site>/data). `readOnly` (dry runs) keeps every
+ * write out: the legacy covers.json is read as it is instead of being migrated.
+ */
+export function createDataStore(dataDir, { readOnly = false } = {}) {
+  const todayFile = path.join(dataDir, "today.json");
+  const historyDir = path.join(dataDir, "history");
+  const legacyHistoryFile = path.join(dataDir, "covers.json");
+  const lockFile = path.join(dataDir, LOCK_FILE);
+
+  let today = null; // cached today.json records
+  let history = []; // the history as last read or written
+
+  function assertWritable() {
+    if (readOnly) throw new Error("data store is read-only (dry run)");
+  }
+
+  function readToday() {
+    if (!today) today = readJsonArray(todayFile);
+    return today;
+  }
+
+  function saveToday(records) {
+    assertWritable();
+    today = [...records].sort(compareRecords);
+    writeJsonAtomic(todayFile, today);
+  }
+
+  return {
+    dataDir,
+    todayFile,
+    historyDir,
+    legacyHistoryFile,
+    readOnly,
+
+    /** Take the write lock; returns release(). Throws while a live run holds it. */
+    lock() {
+      assertWritable();
+      fs.mkdirSync(dataDir, { recursive: true });
+      const owner = { pid: process.pid, since: new Date().toISOString() };
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          fs.writeFileSync(lockFile, JSON.stringify(owner), { flag: "wx" });
+          let released = false;
+          return () => {
+            if (released) return;
+            released = true;
+            fs.rmSync(lockFile, { force: true });
+          };
+        } catch (e) {
+          if (e.code !== "EEXIST") throw e;
+          let held = null;
+          try {
+            held = JSON.parse(fs.readFileSync(lockFile, "utf8"));
+          } catch {}
+          const age = held?.since ? Date.now() - Date.parse(held.since) : Infinity;
+          if (attempt === 0 && (!held?.pid || !isAlive(held.pid) || age > LOCK_STALE_MS)) {
+            fs.rmSync(lockFile, { force: true });
+            continue;
+          }
+          throw lockedError(lockFile, held);
+        }
+      }
+      throw lockedError(lockFile, null);
+    },
+
+    readToday,
+
+    /** Replace every today.json record of the publishers in `records`; the others stay. */
+    upsertToday(records) {
+      const ids = new Set(records.map((r) => r.publisherId));
+      saveToday([...readToday().filter((r) => !ids.has(r.publisherId)), ...records]);
+    },
+
+    /** today.json becomes exactly `records` (a run over every enabled publisher). */
+    replaceToday(records) {
+      saveToday(records);
+    },
+
+    /**
+     * The history; a leftover covers.json is migrated into partitions first (read-only:
+     * merged in memory). Returns { records, migrated: { before, after } | null }.
+     */
+    readHistory() {
+      if (readOnly) {
+        history = mergeHistory(readLegacyHistory(legacyHistoryFile), readHistory(historyDir));
+        return { records: history, migrated: null };
+      }
+      const migrated = migrateLegacyHistory(legacyHistoryFile, historyDir);
+      history = readHistory(historyDir);
+      return { records: history, migrated };
+    },
+
+    /** Store the merged history; returns the months written. */
+    writeHistory(records) {
+      assertWritable();
+      history = records;
+      return writeHistory(historyDir, records);
+    },
+
+    /**
+     * The cover already accepted for `publisherId` on `date` (today.json first, then the
+     * history as last read or written): its record, which has a sourceUrl, or null.
+     */
+    knownGoodCover(publisherId, date) {
+      const match = (r) => r?.publisherId === publisherId && r?.date === date && isGoodCover(r);
+      return readToday().find(match) || history.find(match) || null;
+    },
+  };
+}
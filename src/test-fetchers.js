@@ -1,14 +1,26 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { fetchCover } from "./fetchers.js"; // if fetchers.js is also in /src
+import { fetchCover, useCassette } from "./fetchers.js"; // if fetchers.js is also in /src
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dateStr = "2025-12-26";
+// Live smoke run over every enabled publisher.
+//   node src/test-fetchers.js [--date YYYY-MM-DD] [--record <dir> | --replay <dir>]
+// --record saves every HTTP exchange as a cassette (see cassette.js), --replay runs offline from one.
+const args = process.argv.slice(2);
+const argValue = (name) => {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1];
+};
+
+const dateStr = argValue("--date") || "2025-12-26";
 const outputDir = path.join(__dirname, "covers-test");
 
+if (argValue("--record")) useCassette({ mode: "record", dir: path.resolve(argValue("--record")) });
+if (argValue("--replay")) useCassette({ mode: "replay", dir: path.resolve(argValue("--replay")) });
+
 fs.mkdirSync(outputDir, { recursive: true });
 
 // IMPORTANT: this assumes publishers.json is in /src.
@@ -41,4 +53,4 @@ async function run() {
 run().catch((e) => {
   console.error("Fatal:", e);
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,178 @@
+import fs from "fs";
+import path from "path";
+import { writeJsonAtomic } from "./atomic.js";
+
+/**
+ * trace.js
+ * - Structured record of how fetchCover() picked (or failed to pick) a cover:
+ *   every source tried, every probed URL with its metadata and per-rule score,
+ *   the threshold it was held to, and why it was accepted or rejected.
+ * - Traces are plain JSON, one file per publisher and edition date:
+ *   <dir>/<date>/<publisherId>.json
+ * - formatTrace() renders one for humans (`node src/build.js explain <id>`).
+ *
+ * Every helper accepts a null trace / source so fetchers can record unconditionally.
+ */
+
+export function createCoverTrace({ publisherId, date }) {
+  return {
+    publisherId,
+    date,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    outcome: null,
+    accepted: null,
+    error: null,
+    sources: [],
+    ranking: [],
+    downloads: [],
+    // Fetches robots.txt refused: [{ url, rule }]
+    blocked: [],
+  };
+}
+
+/** Start a source section ("kiosko.net", "primary:og:image", ...); returns it for traceAttempt(). */
+export function traceSource(trace, name) {
+  if (!trace) return null;
+  const source = { name, status: "pending", candidate: null, detail: null, error: null, attempts: [] };
+  trace.sources.push(source);
+  return source;
+}
+
+/**
+ * One probed (or skipped) URL inside a source:
+ * { url, source, probe: { contentType, bytes, width, height } | null, score, breakdown,
+ *   threshold, verdict: "passed" | "rejected", reason }
+ */
+export function traceAttempt(source, attempt) {
+  if (source) source.attempts.push(attempt);
+}
+
+export function traceDetail(source, detail) {
+  if (source) source.detail = detail;
+}
+
+export function finishSource(source, { candidate = null, error = null } = {}) {
+  if (!source) return;
+  source.status = error ? "error" : candidate ? "found" : "none";
+  source.candidate = candidate ? { url: candidate.url, referer: candidate.referer || null, via: candidate.source } : null;
+  source.error = error;
+}
+
+export function finishTrace(trace, { accepted = null, error = null } = {}) {
+  if (!trace) return;
+  trace.finishedAt = new Date().toISOString();
+  trace.outcome = accepted ? "accepted" : "failed";
+  trace.accepted = accepted;
+  trace.error = error;
+}
+
+export function traceFilePath(dir, date, publisherId) {
+  return path.join(dir, date, `${publisherId}.json`);
+}
+
+export function writeTrace(dir, trace) {
+  const file = traceFilePath(dir, trace.date, trace.publisherId);
+  writeJsonAtomic(file, trace);
+  return file;
+}
+
+/** Trace for `publisherId` on `date`, or on the latest date that has one. */
+export function readTrace(dir, publisherId, date = null) {
+  const dates = date
+    ? [date]
+    : fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d)).sort().reverse()
+    : [];
+
+  for (const d of dates) {
+    const file = traceFilePath(dir, d, publisherId);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  return null;
+}
+
+/** Remove trace folders for dates before `cutoffDate`; returns the removed dates. */
+export function pruneTraces(dir, cutoffDate) {
+  if (!fs.existsSync(dir)) return [];
+  const removed = fs.readdirSync(dir).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && d < cutoffDate);
+  for (const d of removed) fs.rmSync(path.join(dir, d), { recursive: true, force: true });
+  return removed;
+}
+
+function formatProbe(probe) {
+  if (!probe) return "";
+  const kb = probe.bytes ? `${Math.round(probe.bytes / 1024)} KB` : "? KB";
+  const size = probe.width && probe.height ? `${probe.width}x${probe.height}` : "?x?";
+  return `${probe.contentType || "?"}, ${kb}, ${size}`;
+}
+
+function formatBreakdown(breakdown = []) {
+  return breakdown.map((r) => `${r.points > 0 ? "+" : ""}${r.points} ${r.rule}`).join(", ");
+}
+
+function formatAttempt(a, indent) {
+  const lines = [];
+  const score = a.score == null ? "" : ` score ${a.score}${a.threshold == null ? "" : ` (needs ${a.threshold})`}`;
+  lines.push(`${indent}${a.verdict === "passed" ? "PASS" : "FAIL"}${score}  ${a.url}`);
+  if (a.probe) lines.push(`${indent}      ${formatProbe(a.probe)}`);
+  if (a.breakdown?.length) lines.push(`${indent}      ${formatBreakdown(a.breakdown)}`);
+  if (a.verdict !== "passed" && a.reason) lines.push(`${indent}      ${a.reason}`);
+  return lines;
+}
+
+/**
+ * Human-readable trace. Failed probes (usually 404s on guessed URLs) are
+ * summarised per source unless `all` is set.
+ */
+export function formatTrace(trace, { all = false } = {}) {
+  const lines = [];
+  const head = `${trace.publisherId} ${trace.date}`;
+  if (trace.outcome === "accepted") {
+    lines.push(`${head}: accepted from ${trace.accepted.source}`);
+    lines.push(`  ${trace.accepted.url}`);
+  } else {
+    lines.push(`${head}: ${trace.outcome === "failed" ? "FAILED" : "incomplete"}${trace.error ? ` - ${trace.error}` : ""}`);
+  }
+  if (trace.resolvedPublisherId) lines.push(`  (alias of ${trace.resolvedPublisherId})`);
+  lines.push(`  run ${trace.startedAt} -> ${trace.finishedAt || "?"}`);
+
+  lines.push("", "Sources:");
+  for (const s of trace.sources) {
+    lines.push(`  ${s.name}: ${s.status}${s.candidate ? ` -> ${s.candidate.url}` : ""}${s.error ? ` (${s.error})` : ""}`);
+    if (s.detail) lines.push(`      ${s.detail}`);
+
+    const shown = all ? s.attempts : s.attempts.filter((a) => !String(a.reason).startsWith("probe failed"));
+    for (const a of shown) lines.push(...formatAttempt(a, "    "));
+
+    const hidden = s.attempts.length - shown.length;
+    if (hidden > 0) {
+      const reasons = [...new Set(s.attempts.filter((a) => !shown.includes(a)).map((a) => a.reason))];
+      lines.push(`    (${hidden} URL(s) failed to probe: ${reasons.slice(0, 3).join("; ")}; --all to list)`);
+    }
+  }
+
+  lines.push("", "Ranking:");
+  if (!trace.ranking.length) lines.push("  (no candidates)");
+  let rank = 0;
+  for (const r of trace.ranking) {
+    const pos = r.verdict === "ranked" ? `${++rank}.` : "--";
+    lines.push(`  ${pos} ${r.score ?? "-"}  [${r.source}] ${r.url}`);
+    if (r.probe) lines.push(`      ${formatProbe(r.probe)}`);
+    if (r.breakdown?.length) lines.push(`      ${formatBreakdown(r.breakdown)}`);
+    if (r.verdict !== "ranked") lines.push(`      rejected: ${r.reason}`);
+  }
+
+  if (trace.blocked?.length) {
+    lines.push("", "Blocked by robots.txt:");
+    for (const b of trace.blocked) lines.push(`  ${b.url}`, `      ${b.rule}`);
+  }
+
+  lines.push("", "Downloads:");
+  if (!trace.downloads.length) lines.push("  (none)");
+  for (const d of trace.downloads) {
+    lines.push(`  ${d.verdict.toUpperCase()}  [${d.source}] ${d.url}${d.reason ? `\n      ${d.reason}` : ""}`);
+  }
+
+  return lines.join("\n");
+}
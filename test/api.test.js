@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { API_SCHEMA_VERSION, buildApi, groupSlug, toApiCover, writeApi } from "../src/api.js";
+import { makeRecord, testPublishers, tmpDir } from "./helpers.js";
+
+const publishers = testPublishers(["marca", "as", "dailystar", "retired"]);
+
+const history = [
+  makeRecord("marca", "2026-01-01", "ok"),
+  makeRecord("marca", "2026-01-02", "ok", { phash: "ff00", headline: "Remontada" }),
+  makeRecord("as", "2026-01-01", "ok"),
+  makeRecord("as", "2026-01-02", "error"),
+  makeRecord("dailystar", "2026-01-02", "ok"),
+  makeRecord("retired", "2026-01-02", "ok"),
+];
+const now = new Date("2026-01-02T10:00:00Z");
+
+test("every document carries the versioned envelope", () => {
+  const docs = buildApi({ history, publishers, now });
+  assert.deepEqual([...docs.keys()].sort(), [
+    "countries/es.json",
+    "countries/uk.json",
+    "dates/2026-01-01.json",
+    "dates/2026-01-02.json",
+    "groups/spain.json",
+    "groups/uk-back-pages.json",
+    "index.json",
+    "latest.json",
+    "publishers.json",
+    "publishers/as/index.json",
+    "publishers/dailystar/index.json",
+    "publishers/marca/index.json",
+  ]);
+  for (const doc of docs.values()) {
+    assert.equal(doc.schemaVersion, API_SCHEMA_VERSION);
+    assert.equal(doc.generatedAt, "2026-01-02T10:00:00.000Z");
+  }
+});
+
+test("latest.json holds each publisher's newest cover; a failed day falls back to the one before", () => {
+  const docs = buildApi({ history, publishers, now });
+  const latest = docs.get("latest.json").covers;
+  assert.deepEqual(latest.map((c) => c.id), ["marca-2026-01-02", "as-2026-01-01", "dailystar-2026-01-02"]);
+  assert.equal(latest[0].headline, "Remontada");
+  assert.equal(latest[0].phash, undefined);
+
+  assert.deepEqual(docs.get("countries/es.json").covers.map((c) => c.publisherId), ["marca", "as"]);
+  assert.equal(docs.get("groups/uk-back-pages.json").groupLabel, "UK Back Pages");
+  assert.deepEqual(docs.get("groups/uk-back-pages.json").covers.map((c) => c.publisherId), ["dailystar"]);
+});
+
+test("publisher and date files list every record; disabled publishers are left out", () => {
+  const docs = buildApi({ history, publishers, now });
+  assert.deepEqual(docs.get("publishers/as/index.json").covers.map((c) => `${c.date} ${c.status}`), [
+    "2026-01-02 error",
+    "2026-01-01 ok",
+  ]);
+  assert.deepEqual(docs.get("dates/2026-01-02.json").covers.map((c) => c.publisherId), ["as", "dailystar", "marca"]);
+  assert.deepEqual(docs.get("publishers.json").publishers.map((p) => p.id), ["marca", "as", "dailystar"]);
+  assert.equal(docs.get("publishers.json").publishers[2].history, "publishers/dailystar/index.json");
+  assert.deepEqual(docs.get("index.json").dates.map((d) => d.href), ["dates/2026-01-02.json", "dates/2026-01-01.json"]);
+});
+
+test("covers carry their attribution and an absolute sourceUrl", () => {
+  const attribution = { publisher: "Marca", copyright: "© 2026 Marca", license: "all-rights-reserved" };
+  const cover = toApiCover({
+    id: "marca-2026-01-02",
+    publisherId: "marca",
+    date: "2026-01-02",
+    status: "ok",
+    sourceUrl: "//img.kiosko.net/2026/01/02/es/marca.750.jpg",
+    attribution,
+  });
+  assert.equal(cover.sourceUrl, "https://img.kiosko.net/2026/01/02/es/marca.750.jpg");
+  assert.deepEqual(cover.attribution, attribution);
+});
+
+test("writeApi replaces the previous output", () => {
+  const dir = tmpDir();
+  writeApi(dir, { history, publishers, now });
+  assert.ok(fs.existsSync(path.join(dir, "dates/2026-01-01.json")));
+
+  const files = writeApi(dir, { history: history.filter((r) => r.date === "2026-01-02"), publishers, now });
+  assert.equal(files, 11);
+  assert.equal(fs.existsSync(path.join(dir, "dates/2026-01-01.json")), false);
+  assert.equal(groupSlug("Équipe Magazine"), "equipe-magazine");
+});
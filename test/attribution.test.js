@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { absoluteUrl, buildAttribution, hostOf, publisherHomepage } from "../src/attribution.js";
+import publishersData from "../src/publishers.json" with { type: "json" };
+
+const byId = new Map(publishersData.publishers.map((p) => [p.id, p]));
+const legal = { display: "thumbnails_only", attributionRequired: true };
+
+test("absoluteUrl makes protocol-relative and relative links absolute and keeps only http(s)", () => {
+  assert.equal(absoluteUrl("//img.kiosko.net/2026/01/02/es/marca.750.jpg"), "https://img.kiosko.net/2026/01/02/es/marca.750.jpg");
+  assert.equal(absoluteUrl(" HTTPS://Example.org/a b "), "https://example.org/a%20b");
+  assert.equal(absoluteUrl("/portada.jpg", "https://as.com/portada.html"), "https://as.com/portada.jpg");
+  assert.equal(
+    absoluteUrl("./data/images/es/marca/a.webp", "https://example.org/covers/"),
+    "https://example.org/covers/data/images/es/marca/a.webp"
+  );
+  assert.equal(absoluteUrl("./data/images/es/marca/a.webp"), null);
+  assert.equal(hostOf("//img.kiosko.net/2026/01/02/es/marca.750.jpg"), "img.kiosko.net");
+  assert.equal(hostOf("not a url"), null);
+  assert.equal(absoluteUrl("javascript:alert(1)"), null);
+  assert.equal(absoluteUrl(""), null);
+});
+
+test("the homepage comes from a site fallback, else the origin of a non-social source", () => {
+  assert.equal(publisherHomepage(byId.get("marca")), "https://www.marca.com/");
+  assert.equal(publisherHomepage(byId.get("lesportiu")), "https://www.lesportiudecatalunya.cat/");
+  assert.equal(
+    publisherHomepage({ primary: { url: "", method: "none" }, fallbacks: [{ type: "x_profile", url: "https://twitter.com/x" }] }),
+    null
+  );
+  assert.equal(publisherHomepage(byId.get("star-sport"), byId), publisherHomepage(byId.get("dailystar")));
+});
+
+test("an aggregator cover names the aggregator, the page it was found on and the rules in effect", () => {
+  const attribution = buildAttribution(
+    byId.get("marca"),
+    {
+      date: "2026-01-02",
+      imageUrl: "//img.kiosko.net/2026/01/02/es/marca.750.jpg",
+      source: "kiosko.net(np:#portada)",
+      referer: "https://es.kiosko.net/es/np/marca.html",
+    },
+    { legal: { ...legal, license: "all-rights-reserved" } }
+  );
+  assert.deepEqual(attribution, {
+    publisher: "Marca",
+    homepage: "https://www.marca.com/",
+    servedBy: { name: "kiosko.net", source: "kiosko.net(np:#portada)", pageUrl: "https://es.kiosko.net/es/np/marca.html" },
+    copyright: "© 2026 Marca",
+    license: "all-rights-reserved",
+    display: "thumbnails_only",
+    required: true,
+  });
+});
+
+test("a reused or publisher-hosted cover is credited to whoever served it; aliases to their target", () => {
+  const reused = buildAttribution(
+    byId.get("star-sport"),
+    { date: "2026-01-02", imageUrl: "https://img.kiosko.net/2026/01/02/uk/daily_star.750.jpg", source: "today.json" },
+    { legal, publishersById: byId }
+  );
+  assert.equal(reused.publisher, byId.get("dailystar").name);
+  assert.deepEqual(reused.servedBy, { name: "kiosko.net", source: "today.json", pageUrl: null });
+  assert.equal(reused.license, "all-rights-reserved");
+
+  const own = buildAttribution(
+    { ...byId.get("as"), legal: { display: "full" } },
+    { date: "2026-01-02", imageUrl: "https://as.com/img/portada.jpg", source: "meta", referer: "https://as.com/portada.html" },
+    { legal }
+  );
+  assert.deepEqual(own.servedBy, { name: "as.com", source: "meta", pageUrl: "https://as.com/portada.html" });
+  assert.equal(own.display, "full");
+});
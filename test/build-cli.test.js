@@ -0,0 +1,202 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { writeCassetteEntry } from "../src/cassette.js";
+import { readHistory, writeHistory } from "../src/history.js";
+import { makeJpeg, tmpDir } from "./helpers.js";
+
+/** build.js as CI runs it, offline: replay cassette via HTTP_CASSETTE_* and a scratch --out. */
+
+const BUILD = path.resolve("src/build.js");
+const cassetteDir = tmpDir("cli-cassette-");
+// Inside the retention window, which is measured from the real date
+const DATE = new Date().toISOString().slice(0, 10);
+
+const YESTERDAY = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+
+// Only marca has covers on record (today and yesterday); as finds nothing
+function recordMarca(date, seed) {
+  writeCassetteEntry(
+    cassetteDir,
+    { url: `https://img.kiosko.net/${date.replaceAll("-", "/")}/es/marca.750.jpg` },
+    { status: 200, headers: { "content-type": "image/jpeg" }, body: makeJpeg(900, 1300, seed) }
+  );
+}
+recordMarca(DATE, 1);
+recordMarca(YESTERDAY, 2);
+
+function run(args, outDir = tmpDir("cli-out-")) {
+  const env = { ...process.env, HTTP_CASSETTE_MODE: "replay", HTTP_CASSETTE_DIR: cassetteDir, OCR_ENABLED: "false" };
+  const res = spawnSync(process.execPath, [BUILD, ...args, "--out", outDir, "--traces", `${outDir}-traces`], {
+    env,
+    encoding: "utf8",
+    timeout: 120000,
+  });
+  return { ...res, outDir };
+}
+
+test("scrape writes today.json, the history and images under --out, and traces under --traces", () => {
+  const { status, outDir, stdout } = run(["scrape", "--only", "marca", "--date", DATE]);
+  assert.equal(status, 0, stdout);
+
+  const today = JSON.parse(fs.readFileSync(path.join(outDir, "data/today.json"), "utf8"));
+  assert.deepEqual(today.map((r) => [r.publisherId, r.status]), [["marca", "ok"]]);
+  assert.ok(fs.existsSync(path.join(outDir, today[0].imageMediumUrl)));
+  assert.equal(today[0].sourceUrl, `https://img.kiosko.net/${DATE.replaceAll("-", "/")}/es/marca.750.jpg`);
+  assert.deepEqual(
+    { ...today[0].attribution, servedBy: today[0].attribution.servedBy.name },
+    {
+      publisher: "Marca",
+      homepage: "https://www.marca.com/",
+      servedBy: "kiosko.net",
+      copyright: `© ${DATE.slice(0, 4)} Marca`,
+      license: "all-rights-reserved",
+      display: "thumbnails_only",
+      required: true,
+    }
+  );
+  assert.ok(fs.existsSync(path.join(outDir, `data/history/${DATE.slice(0, 7)}.json`)));
+  assert.ok(fs.existsSync(path.join(outDir, "data/history/index.json")));
+  assert.ok(fs.existsSync(`${outDir}-traces/${DATE}/marca.json`));
+  assert.equal(fs.existsSync(path.join(outDir, "data/traces")), false);
+
+  const latest = JSON.parse(fs.readFileSync(path.join(outDir, "api/latest.json"), "utf8"));
+  assert.deepEqual(latest.covers.map((c) => c.id), [`marca-${DATE}`]);
+  assert.ok(fs.existsSync(path.join(outDir, `api/dates/${DATE}.json`)));
+  assert.ok(fs.readFileSync(path.join(outDir, "feeds/publishers/marca.atom"), "utf8").includes(`marca-${DATE}`));
+});
+
+test("partial failure exits 2, total failure exits 3", () => {
+  assert.equal(run(["--only", "marca,as", "--date", DATE]).status, 2);
+  assert.equal(run(["--only", "as", "--date", DATE]).status, 3);
+});
+
+test("--dry-run resolves candidates but writes nothing", () => {
+  const { status, outDir, stdout } = run(["--country", "es", "--only", "marca", "--date", DATE, "--dry-run"]);
+  assert.equal(status, 0);
+  assert.ok(stdout.includes(`Would download: https://img.kiosko.net/${DATE.replaceAll("-", "/")}/es/marca.750.jpg`));
+  assert.deepEqual(fs.readdirSync(outDir), []);
+});
+
+test("bad usage exits 1", () => {
+  assert.equal(run(["--only", "nope"]).status, 1);
+  assert.equal(run(["--date", "2025-13-40"]).status, 1);
+  assert.equal(run(["frobnicate"]).status, 1);
+});
+
+test("explain prints the trace of the last run", () => {
+  const { outDir } = run(["--only", "marca", "--date", DATE]);
+  const { status, stdout } = run(["explain", "marca"], outDir);
+  assert.equal(status, 0);
+  assert.ok(stdout.includes(`marca ${DATE}: accepted from kiosko.net(direct)`));
+});
+
+test("backfill archives each publisher-day once and leaves today.json alone", () => {
+  const args = ["backfill", "--only", "marca,as", "--from", YESTERDAY, "--to", DATE];
+  const first = run(args);
+  assert.equal(first.status, 2, first.stdout);
+  assert.ok(first.stdout.includes("4 publisher-day(s) to fetch, 0 already archived"));
+  assert.equal(fs.existsSync(path.join(first.outDir, "data/today.json")), false);
+
+  const second = run(args, first.outDir);
+  assert.ok(second.stdout.includes("2 publisher-day(s) to fetch, 2 already archived"));
+
+  const covers = readHistory(path.join(first.outDir, "data/history"));
+  assert.deepEqual(covers.map((r) => `${r.id} ${r.status}`).sort(), [
+    `as-${YESTERDAY} error`,
+    `as-${DATE} error`,
+    `marca-${YESTERDAY} ok`,
+    `marca-${DATE} ok`,
+  ]);
+});
+
+test("a run refuses a data dir another live run has locked, and takes over a dead one's lock", () => {
+  const outDir = tmpDir("cli-out-");
+  const lockFile = path.join(outDir, "data/.lock");
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+  fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, since: new Date().toISOString() }));
+
+  const locked = run(["--only", "marca", "--date", DATE], outDir);
+  assert.equal(locked.status, 1);
+  assert.match(locked.stderr, /another run is writing this site/);
+  assert.equal(fs.existsSync(path.join(outDir, "data/today.json")), false);
+
+  fs.writeFileSync(lockFile, JSON.stringify({ pid: 2 ** 22 + 1, since: new Date().toISOString() }));
+  assert.equal(run(["--only", "marca", "--date", DATE], outDir).status, 0);
+  assert.equal(fs.existsSync(lockFile), false);
+});
+
+test("a second off-schedule day in a row still points at the last real issue", () => {
+  // kicker prints Mon/Thu: the latest Wednesday, with Monday's issue and Tuesday's no_issue on record
+  const daysAgo = (n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+  const back = (new Date().getUTCDay() + 4) % 7; // 0 on a Wednesday
+  const [mon, tue, wed] = [back + 2, back + 1, back].map(daysAgo);
+  const image = { imageSmallUrl: "./data/images/de/kicker/x-small.webp", imageMediumUrl: "./data/images/de/kicker/x-medium.webp" };
+  const outDir = tmpDir("cli-out-");
+  writeHistory(path.join(outDir, "data/history"), [
+    { id: `kicker-${mon}`, publisherId: "kicker", date: mon, status: "ok", ...image },
+    { id: `kicker-${tue}`, publisherId: "kicker", date: tue, status: "no_issue", currentIssueDate: mon, ...image },
+  ]);
+
+  const { status, stdout } = run(["--only", "kicker", "--date", wed], outDir);
+  assert.equal(status, 0, stdout);
+  const today = JSON.parse(fs.readFileSync(path.join(outDir, "data/today.json"), "utf8"));
+  assert.deepEqual(
+    today.map((r) => [r.date, r.status, r.currentIssueDate]),
+    [[wed, "no_issue", mon]]
+  );
+});
+
+test("backfill rejects a reversed or future range", () => {
+  assert.equal(run(["backfill", "--from", DATE, "--to", YESTERDAY]).status, 1);
+  assert.equal(run(["backfill", "--from", DATE, "--to", "2999-01-01"]).status, 1);
+  assert.equal(run(["backfill", "--from", DATE]).status, 1);
+});
+
+test("re-running a day upserts its records and migrates a legacy covers.json", () => {
+  const outDir = tmpDir("cli-out-");
+  const legacy = ["error", "error"].map((status) => ({
+    id: `marca-${DATE}`,
+    publisherId: "marca",
+    date: DATE,
+    status,
+    error: "Cover not found",
+  }));
+  fs.mkdirSync(path.join(outDir, "data"), { recursive: true });
+  fs.writeFileSync(path.join(outDir, "data/covers.json"), JSON.stringify(legacy));
+
+  const first = run(["--only", "marca", "--date", DATE], outDir);
+  assert.ok(first.stdout.includes("migrated covers.json (2 records, 1 after dedupe)"), first.stdout);
+  assert.equal(fs.existsSync(path.join(outDir, "data/covers.json")), false);
+
+  const second = run(["--only", "marca", "--date", DATE], outDir);
+  assert.ok(second.stdout.includes("History: 1 record(s)"), second.stdout);
+  assert.ok(second.stdout.includes("-> Unchanged: "), second.stdout);
+
+  const history = readHistory(path.join(outDir, "data/history"));
+  assert.deepEqual(history.map((r) => [r.id, r.status]), [[`marca-${DATE}`, "ok"]]);
+  assert.match(history[0].sha256, /^[0-9a-f]{64}$/);
+});
+
+test("status.json tracks failure streaks; past health.maxFailureStreak the run exits 4", () => {
+  const outDir = tmpDir("cli-out-");
+  const daysAgo = (n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+  writeHistory(
+    path.join(outDir, "data/history"),
+    [3, 2, 1].map((n) => ({ id: `as-${daysAgo(n)}`, publisherId: "as", date: daysAgo(n), status: "error", error: "Cover not found" }))
+  );
+
+  const { status, stdout } = run(["--only", "marca,as", "--date", DATE], outDir);
+  assert.equal(status, 4, stdout);
+
+  const health = JSON.parse(fs.readFileSync(path.join(outDir, "data/status.json"), "utf8"));
+  assert.deepEqual(health.run, { label: "Scrape", ok: 1, failed: 1, failedIds: [`as-${DATE}`], robotsBlocked: 0 });
+  assert.equal(health.publishers.as.failureStreak, 4);
+  assert.equal(health.publishers.marca.lastSuccess, DATE);
+  assert.deepEqual(health.publishers.marca.sources, { [DATE]: "kiosko.net(direct)" });
+
+  const summary = fs.readFileSync(path.join(outDir, "data/summary.md"), "utf8");
+  assert.ok(summary.includes("failing for more than 3 days in a row: as"), summary);
+});
@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import axios from "axios";
+import { createCassetteAdapter, readCassetteEntry } from "../src/cassette.js";
+import { makeJpeg, tmpDir } from "./helpers.js";
+
+const IMAGE = makeJpeg(200, 300);
+
+function startServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url === "/page") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", ETag: '"v1"' });
+      res.end("<html><body>portada</body></html>");
+    } else if (req.url === "/cover.jpg") {
+      res.writeHead(200, { "Content-Type": "image/jpeg", "Content-Length": IMAGE.length });
+      res.end(IMAGE);
+    } else {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("missing");
+    }
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+test("record then replay returns the same responses without the network", async () => {
+  const dir = tmpDir("cassette-");
+  const server = await startServer();
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const recorder = axios.create({ adapter: createCassetteAdapter({ mode: "record", dir }) });
+    const page = await recorder.get(`${base}/page`, { responseType: "arraybuffer" });
+    assert.equal(Buffer.from(page.data).toString("utf8"), "<html><body>portada</body></html>");
+    const img = await recorder.get(`${base}/cover.jpg`, { responseType: "stream" });
+    assert.ok((await readStream(img.data)).equals(IMAGE));
+    await assert.rejects(recorder.get(`${base}/gone`), (e) => e.response?.status === 404);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  assert.equal(readCassetteEntry(dir, "GET", `${base}/page`).headers.etag, '"v1"');
+
+  const player = axios.create({ adapter: createCassetteAdapter({ mode: "replay", dir }) });
+  const page = await player.get(`${base}/page`);
+  assert.equal(page.data, "<html><body>portada</body></html>");
+  assert.equal(page.headers["content-type"], "text/html; charset=utf-8");
+
+  const img = await player.get(`${base}/cover.jpg`, { responseType: "stream" });
+  assert.ok((await readStream(img.data)).equals(IMAGE));
+
+  // Recorded errors replay as errors; ranged requests fall back to the full recording
+  await assert.rejects(player.get(`${base}/gone`), (e) => e.response?.status === 404);
+  const ranged = await player.get(`${base}/cover.jpg`, {
+    responseType: "arraybuffer",
+    headers: { Range: "bytes=0-65535" },
+  });
+  assert.equal(ranged.data.length, IMAGE.length);
+});
+
+test("replay answers unrecorded requests with 404", async () => {
+  const player = axios.create({ adapter: createCassetteAdapter({ mode: "replay", dir: tmpDir("cassette-") }) });
+  await assert.rejects(player.get("https://example.com/never"), (e) => e.response?.status === 404);
+
+  const lenient = await player.get("https://example.com/never", { validateStatus: () => true });
+  assert.equal(lenient.status, 404);
+  assert.equal(lenient.statusText, "Not recorded");
+});
+
+test("unknown modes are rejected", () => {
+  assert.throws(() => createCassetteAdapter({ mode: "rewind", dir: "/tmp" }), /Unknown cassette mode/);
+});
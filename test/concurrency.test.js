@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHostLimiter, mapLimit } from "../src/concurrency.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs `n` requests to `url` through the limiter; each holds its slot for `holdMs`
+async function load(limiter, url, n, holdMs = 20) {
+  let active = 0;
+  let peak = 0;
+  const starts = [];
+  await Promise.all(
+    Array.from({ length: n }, async () => {
+      const release = await limiter.acquire(url);
+      starts.push(Date.now());
+      peak = Math.max(peak, ++active);
+      await sleep(holdMs);
+      active--;
+      release();
+    })
+  );
+  return { peak, starts };
+}
+
+test("mapLimit keeps input order and never runs more than `limit` at once", async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await mapLimit([30, 5, 20, 10, 1], 2, async (ms, i) => {
+    peak = Math.max(peak, ++active);
+    await sleep(ms);
+    active--;
+    return `${i}:${ms}`;
+  });
+  assert.deepEqual(results, ["0:30", "1:5", "2:20", "3:10", "4:1"]);
+  assert.equal(peak, 2);
+  assert.deepEqual(await mapLimit([], 4, async () => 1), []);
+});
+
+test("a host never has more than maxInFlight requests running", async () => {
+  const limiter = createHostLimiter({ "*": { maxInFlight: 2, minDelayMs: 0 } });
+  const { peak } = await load(limiter, "https://example.com/a", 6);
+  assert.equal(peak, 2);
+});
+
+test("request starts on one host are spaced by minDelayMs; a Crawl-delay lengthens it", async () => {
+  const limiter = createHostLimiter({ "*": { maxInFlight: 4, minDelayMs: 40 } });
+  const { starts } = await load(limiter, "https://example.com/a", 3, 0);
+  for (let i = 1; i < starts.length; i++) assert.ok(starts[i] - starts[i - 1] >= 38, `gap ${starts[i] - starts[i - 1]}ms`);
+
+  const release = await limiter.acquire("https://slow.example/", { minDelayMs: 120 });
+  release();
+  const before = Date.now();
+  (await limiter.acquire("https://slow.example/next"))();
+  assert.ok(Date.now() - before >= 115);
+});
+
+test("hosts under one suffix rule share a bucket; other hosts get their own", async () => {
+  const limiter = createHostLimiter({ "*": { maxInFlight: 1, minDelayMs: 0 }, "kiosko.net": { maxInFlight: 1, minDelayMs: 0 } });
+
+  // Peak concurrency of one request per URL, all started together
+  async function peakOf(urls) {
+    let active = 0;
+    let peak = 0;
+    await Promise.all(
+      urls.map(async (url) => {
+        const release = await limiter.acquire(url);
+        peak = Math.max(peak, ++active);
+        await sleep(20);
+        active--;
+        release();
+      })
+    );
+    return peak;
+  }
+
+  assert.equal(await peakOf(["https://es.kiosko.net/es/np/marca.html", "https://img.kiosko.net/2025/12/26/es/marca.750.jpg"]), 1);
+  assert.equal(await peakOf(["https://a.example/", "https://b.example/"]), 2);
+});
@@ -0,0 +1,115 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkConfig, isValidTimezone } from "../src/config.js";
+import publishersData from "../src/publishers.json" with { type: "json" };
+
+const byId = new Map(publishersData.publishers.map((p) => [p.id, p]));
+
+// publishers.json with `publishers` replaced
+function withPublishers(publishers) {
+  return { ...structuredClone(publishersData), publishers };
+}
+
+function publisher(id, overrides = {}) {
+  return { ...structuredClone(byId.get("marca")), id, ...overrides };
+}
+
+test("the shipped publishers.json has no errors", () => {
+  assert.deepEqual(checkConfig(publishersData).errors, []);
+});
+
+test("schema errors name the publisher and the field", () => {
+  const broken = publisher("broken", { timezone: 42, frequency: "daily", colour: "red" });
+  delete broken.name;
+  const { errors } = checkConfig(withPublishers([broken]));
+
+  assert.ok(errors.includes("broken: / must have required property 'name'"), errors.join("\n"));
+  assert.ok(errors.includes('broken: / must NOT have additional properties "colour"'), errors.join("\n"));
+  assert.ok(errors.includes("broken: /timezone must be string"), errors.join("\n"));
+});
+
+test("a misspelt legal.display is an error, globally and per publisher", () => {
+  const config = withPublishers([publisher("typo", { legal: { display: "thumbnail_only" } })]);
+  config.legal = { ...config.legal, display: "thumbnails" };
+  const { errors } = checkConfig(config);
+
+  assert.ok(errors.includes("/legal/display must be equal to one of the allowed values"), errors.join("\n"));
+  assert.ok(errors.includes("typo: /legal/display must be equal to one of the allowed values"), errors.join("\n"));
+});
+
+test("duplicate ids and unresolved aliases are errors", () => {
+  const { errors } = checkConfig(
+    withPublishers([
+      publisher("marca"),
+      publisher("marca"),
+      publisher("ghost", { type: "alias", aliasOf: "nobody", primary: { url: "", method: "alias" }, fallbacks: [] }),
+    ])
+  );
+  assert.deepEqual(errors, ["marca: duplicate publisher id", 'ghost: aliasOf "nobody" does not exist']);
+});
+
+test("unregistered methods, fallback types and timezones are errors", () => {
+  const { errors } = checkConfig(
+    withPublishers([
+      publisher("marca", {
+        timezone: "Europe/Madird",
+        primary: { url: "https://www.marca.com/", method: "og:imgae" },
+        fallbacks: [{ type: "x_profle", url: "https://twitter.com/marca" }],
+      }),
+    ])
+  );
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /^marca: unknown primary.method "og:imgae" \(known: .*og:image/);
+  assert.match(errors[1], /^marca: unknown fallback type "x_profle"/);
+  assert.equal(errors[2], 'marca: "Europe/Madird" is not an IANA timezone');
+});
+
+test("publishers without an aggregator mapping are warnings, not errors", () => {
+  const { errors, warnings } = checkConfig(
+    withPublishers([publisher("newpaper", { name: "New Paper" }), publisher("nl-paper", { country: "NL" })])
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    "newpaper: no kiosko.net or frontpages.com mapping; aggregators only try guessed slugs",
+    'nl-paper: country "NL" has no kiosko.net edition (known: ES, FR, IT, PT, UK, DE)',
+    "nl-paper: no kiosko.net or frontpages.com mapping; aggregators only try guessed slugs",
+  ]);
+});
+
+test("isValidTimezone accepts IANA names only", () => {
+  assert.equal(isValidTimezone("Europe/London"), true);
+  assert.equal(isValidTimezone("UTC"), true);
+  assert.equal(isValidTimezone("CET+1"), false);
+  assert.equal(isValidTimezone("Mars/Olympus"), false);
+});
+
+test("sources and slugs must name known sources and aggregators", () => {
+  const { errors } = checkConfig(
+    withPublishers([publisher("marca", { sources: ["kiosko", "kisoko"], slugs: { frontpage: ["marca"] } })])
+  );
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^marca: unknown source "kisoko" \(known: today.json, kiosko, frontpages, primary/);
+  assert.match(errors[1], /^marca: slugs for unknown aggregator "frontpage"/);
+});
+
+test("crawl.userAgent must identify the project with a contact", () => {
+  const withUserAgent = (userAgent) => checkConfig({ ...structuredClone(publishersData), crawl: { userAgent } }).errors;
+
+  assert.deepEqual(withUserAgent("sportscovers-data/1.0 (+https://example.org/about)"), []);
+  assert.deepEqual(withUserAgent("sportscovers-data/1.0 (ops@example.org)"), []);
+  assert.deepEqual(withUserAgent("sportscovers-data/1.0"), [
+    'crawl.userAgent: "sportscovers-data/1.0" has no contact URL or email',
+  ]);
+  assert.deepEqual(withUserAgent("Mozilla/5.0 (Windows NT 10.0) Chrome/122.0 (+https://example.org)"), [
+    'crawl.userAgent: "Mozilla/5.0 (Windows NT 10.0) Chrome/122.0 (+https://example.org)" poses as a browser',
+  ]);
+});
+
+test("aggregator definitions are checked too", () => {
+  const aggregators = [
+    { id: "paperboy", name: "Paperboy", threshold: 60, dateRegex: "(\\d{4}", lookups: [{ kind: "feed", urls: [] }] },
+  ];
+  const { errors } = checkConfig(withPublishers([publisher("marca")]), { aggregators });
+  assert.ok(errors.some((e) => e.startsWith("aggregators.json: /aggregators/0/lookups/0/kind must be equal to one of")));
+  assert.ok(errors.some((e) => e.startsWith("aggregators.json: paperboy dateRegex: Invalid regular expression")));
+});
@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addDays, formatDateInTimezone, isDateString, resolveEditionDate } from "../src/dates.js";
+
+const madrid = { id: "marca", timezone: "Europe/Madrid" };
+
+test("before the cutover hour the edition is still yesterday's; from the cutover on it is today's", () => {
+  // 04:59 and 05:00 in Madrid (CET, UTC+1)
+  assert.equal(resolveEditionDate(madrid, { now: new Date("2026-01-15T03:59:00Z"), cutoverHour: 5 }), "2026-01-14");
+  assert.equal(resolveEditionDate(madrid, { now: new Date("2026-01-15T04:00:00Z"), cutoverHour: 5 }), "2026-01-15");
+  // A publisher's own editionCutoverHour wins over the global one
+  const late = { ...madrid, editionCutoverHour: 7 };
+  assert.equal(resolveEditionDate(late, { now: new Date("2026-01-15T05:30:00Z"), cutoverHour: 5 }), "2026-01-14");
+});
+
+test("the edition date follows the publisher's timezone across a UTC date boundary", () => {
+  // 23:30 UTC on the 14th is already the 15th in Madrid and still the 14th in New York
+  const now = new Date("2026-01-14T23:30:00Z");
+  assert.equal(resolveEditionDate(madrid, { now }), "2026-01-15");
+  assert.equal(resolveEditionDate({ timezone: "America/New_York" }, { now }), "2026-01-14");
+  assert.equal(resolveEditionDate({}, { now }), "2026-01-14");
+  // With a cutover, Madrid's 00:30 is before it: back to the 14th
+  assert.equal(resolveEditionDate(madrid, { now, cutoverHour: 5 }), "2026-01-14");
+  // Summer time (CEST, UTC+2): 22:30 UTC is 00:30 local
+  assert.equal(resolveEditionDate(madrid, { now: new Date("2026-07-01T22:30:00Z") }), "2026-07-02");
+});
+
+test("an override date wins for every publisher", () => {
+  assert.equal(resolveEditionDate(madrid, { now: new Date("2026-01-15T03:00:00Z"), override: "2025-12-26", cutoverHour: 5 }), "2025-12-26");
+});
+
+test("date helpers", () => {
+  assert.equal(formatDateInTimezone("2026-01-14T23:30:00Z", "Europe/Madrid"), "2026-01-15");
+  assert.equal(formatDateInTimezone("not a date", "UTC"), null);
+  assert.equal(addDays("2024-02-28", 1), "2024-02-29");
+  assert.equal(addDays("2026-01-01", -1), "2025-12-31");
+  assert.ok(isDateString("2024-02-29"));
+  assert.ok(!isDateString("2025-02-29"));
+});
@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { feedEntries, writeFeeds } from "../src/feeds.js";
+import { archivedImageUrl, makeRecord, testPublishers, tmpDir } from "./helpers.js";
+
+const publishers = testPublishers(["marca", "kicker", "retired"], { kicker: { legal: { archiveDays: 2 } } });
+
+const history = [
+  makeRecord("marca", "2026-01-08", "ok"),
+  makeRecord("marca", "2026-01-09", "ok", { headline: "Mbappé & co" }),
+  makeRecord("marca", "2026-01-10", "error"),
+  makeRecord("kicker", "2026-01-08", "ok"),
+  makeRecord("kicker", "2026-01-09", "ok"),
+  makeRecord("kicker", "2026-01-10", "no_issue", {
+    currentIssueDate: "2026-01-09",
+    imageMediumUrl: archivedImageUrl("kicker", "2026-01-09"),
+  }),
+  makeRecord("retired", "2026-01-09", "ok"),
+];
+const now = new Date("2026-01-10T12:00:00Z");
+const site = { title: "Sports covers", baseUrl: "https://example.org/covers/" };
+const legal = { archiveDays: 7 };
+
+test("feedEntries keeps covers inside each publisher's retention window, newest first", () => {
+  const entries = feedEntries(history, { publishers, legal, now, baseUrl: site.baseUrl });
+  assert.deepEqual(entries.map((e) => e.id), ["marca-2026-01-09", "kicker-2026-01-09", "marca-2026-01-08"]);
+  assert.equal(entries[0].title, "Marca – 2026-01-09: Mbappé & co");
+  assert.equal(entries[0].thumbnail, "https://example.org/covers/data/images/es/marca/2026-01-09-small.webp");
+  assert.equal(entries[0].sourceUrl, "https://img.kiosko.net/2026/01/09/es/marca.750.jpg");
+});
+
+test("writeFeeds writes Atom and JSON Feed for everything, each group and each publisher", () => {
+  const dir = path.join(tmpDir(), "feeds");
+  assert.equal(writeFeeds(dir, { history, publishers, legal, site, now }), 5);
+
+  const atom = fs.readFileSync(path.join(dir, "all.atom"), "utf8");
+  assert.ok(atom.includes("<id>urn:sportscovers:marca-2026-01-09</id>"));
+  assert.ok(atom.includes("<title>Marca – 2026-01-09: Mbappé &amp; co</title>"));
+  assert.ok(atom.includes('<link rel="self" type="application/atom+xml" href="https://example.org/covers/feeds/all.atom"/>'));
+  assert.ok(
+    atom.includes(
+      '<link rel="enclosure" type="image/webp" href="https://example.org/covers/data/images/es/marca/2026-01-09-small.webp"/>'
+    )
+  );
+  assert.ok(atom.includes('<link rel="via" href="https://img.kiosko.net/2026/01/09/es/marca.750.jpg"/>'));
+
+  const spain = JSON.parse(fs.readFileSync(path.join(dir, "groups/spain.json"), "utf8"));
+  assert.equal(spain.version, "https://jsonfeed.org/version/1.1");
+  assert.equal(spain.feed_url, "https://example.org/covers/feeds/groups/spain.json");
+  assert.deepEqual(spain.items.map((i) => i.id), ["marca-2026-01-09", "marca-2026-01-08"]);
+  assert.equal(spain.items[0].external_url, "https://img.kiosko.net/2026/01/09/es/marca.750.jpg");
+  assert.deepEqual(spain.items[0].attachments, [
+    { url: "https://example.org/covers/data/images/es/marca/2026-01-09-small.webp", mime_type: "image/webp" },
+  ]);
+
+  const kicker = JSON.parse(fs.readFileSync(path.join(dir, "publishers/kicker.json"), "utf8"));
+  assert.deepEqual(kicker.items.map((i) => i.id), ["kicker-2026-01-09"]);
+  assert.equal(fs.existsSync(path.join(dir, "publishers/retired.atom")), false);
+});
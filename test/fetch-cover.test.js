@@ -0,0 +1,465 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { writeCassetteEntry } from "../src/cassette.js";
+import { blockedFetches, fetchCover, useCassette } from "../src/fetchers.js";
+import { createDataStore } from "../src/store.js";
+import { aggregatorSlugs, getAggregator } from "../src/aggregators.js";
+import { createCoverTrace, formatTrace, readTrace, writeTrace } from "../src/trace.js";
+import publishersData from "../src/publishers.json" with { type: "json" };
+import { htmlPage, makeJpeg, makeRecord, nitterTimelineHtml, tmpDir } from "./helpers.js";
+
+/**
+ * End-to-end fetchCover() per publisher, replayed from a synthetic cassette:
+ * every page and image the scraper should find is recorded, everything else
+ * answers 404 like a missing page.
+ */
+
+const DATE = "2025-12-26";
+const scratch = tmpDir();
+const cassetteDir = path.join(scratch, "cassette");
+
+const publishers = publishersData.publishers;
+const byId = new Map(publishers.map((p) => [p.id, p]));
+const COVER = makeJpeg();
+
+function recordImage(url) {
+  writeCassetteEntry(
+    cassetteDir,
+    { url },
+    { status: 200, headers: { "content-type": "image/jpeg", "content-length": COVER.length }, body: COVER }
+  );
+  return url;
+}
+
+function recordPage(url, html) {
+  writeCassetteEntry(cassetteDir, { url }, { status: 200, headers: { "content-type": "text/html" }, body: html });
+}
+
+function kioskoDirect(id) {
+  const kiosko = getAggregator("kiosko");
+  const [slug] = aggregatorSlugs(kiosko, byId.get(id));
+  const lang = kiosko.languages[byId.get(id).country];
+  return recordImage(`https://img.kiosko.net/2025/12/26/${lang}/${slug}.750.jpg`);
+}
+
+function nitterBackPage(handle, image, text) {
+  recordPage(
+    `https://nitter.net/${handle}`,
+    nitterTimelineHtml(handle, [
+      { id: "2002", postedAt: "Dec 26, 2025 · 8:15 AM UTC", text: "Boxing Day fixtures", image: "fixtures.jpg" },
+      { id: "2001", postedAt: "Dec 26, 2025 · 6:30 AM UTC", text, image },
+    ])
+  );
+  return `https://pbs.twimg.com/media/${image}?name=orig`;
+}
+
+// publisherId -> { source, url } the scraper must end up with
+const expected = {};
+for (const id of [
+  "marca",
+  "as",
+  "mundodeportivo",
+  "sport",
+  "superdeporte",
+  "estadiodeportivo",
+  "lequipe",
+  "gazzetta",
+  "tuttosport",
+  "abola",
+  "record",
+  "ojogo",
+  "kicker",
+]) {
+  expected[id] = { source: "kiosko.net(direct)", url: kioskoDirect(id) };
+}
+
+recordPage(
+  "https://www.corrieredellosport.it/prima_pagina",
+  htmlPage(`<meta property="og:image" content="https://img.corrieredellosport.it/prima/${DATE}.jpg">`)
+);
+expected.corriere = { source: "meta", url: recordImage(`https://img.corrieredellosport.it/prima/${DATE}.jpg`) };
+
+recordPage(
+  "https://www.lesportiudecatalunya.cat/",
+  htmlPage("", `<a href="/portada"><img alt="Portada d'avui" src="/media/portades/${DATE}.jpg"></a>`)
+);
+expected.lesportiu = {
+  source: "dom:page_scan",
+  url: recordImage(`https://www.lesportiudecatalunya.cat/media/portades/${DATE}.jpg`),
+};
+
+// Digital brand without caption keywords: latest own post with media wins
+recordPage(
+  "https://nitter.net/SpheraSports",
+  nitterTimelineHtml("SpheraSports", [
+    { id: "3001", postedAt: "Dec 26, 2025 · 9:00 AM UTC", text: "Portada Sphera", image: "sphera.jpg" },
+  ])
+);
+expected.spherasports = {
+  source: "social:x_latest_media",
+  url: recordImage("https://pbs.twimg.com/media/sphera.jpg?name=orig"),
+};
+
+expected.dailystar = {
+  source: "social:x_latest_media",
+  url: recordImage(nitterBackPage("DailyStar_Sport", "star.jpg", "Friday's Daily Star back page")),
+};
+// The alias resolves to dailystar, whose cover today.json already holds
+expected["star-sport"] = {
+  source: "today.json",
+  url: expected.dailystar.url,
+  today: [makeRecord("dailystar", DATE, "ok", { sourceUrl: expected.dailystar.url })],
+};
+expected.mirror = {
+  source: "social:x_latest_media",
+  url: recordImage(nitterBackPage("MirrorFootball", "mirror.jpg", "Tomorrow's Mirror Sport back page")),
+};
+
+recordPage(
+  "https://www.frontpages.com/daily-express/",
+  htmlPage("", `<img id="giornale-img" src="/g/2025/12/26/daily-express-back.webp.jpg" alt="Daily Express">`)
+);
+expected.express = {
+  source: "frontpages.com",
+  url: recordImage("https://www.frontpages.com/g/2025/12/26/daily-express-back.webp.jpg"),
+};
+
+const options = {
+  staleCheck: publishersData.staleCheck,
+  derivatives: publishersData.derivatives,
+  legal: publishersData.legal,
+};
+
+// Stands in for build.js: a today.json of the test's own, holding the covers it relies on
+function withToday(records = []) {
+  const store = createDataStore(tmpDir());
+  store.upsertToday(records);
+  return { ...options, knownGood: store.knownGoodCover };
+}
+
+test.before(() => useCassette({ mode: "replay", dir: cassetteDir }));
+test.after(() => {
+  useCassette(null);
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+test("every enabled publisher has a replay fixture", () => {
+  const enabled = publishers.filter((p) => p.enabled).map((p) => p.id);
+  assert.deepEqual(enabled.filter((id) => !expected[id]), []);
+});
+
+for (const [id, want] of Object.entries(expected)) {
+  test(`fetchCover ${id} -> ${want.source}`, async () => {
+    const outputDir = tmpDir();
+
+    const result = await fetchCover(byId.get(id), DATE, outputDir, publishers, withToday(want.today));
+
+    assert.equal(result.source, want.source);
+    assert.equal(result.url, want.url);
+    assert.deepEqual(Object.keys(result.files).sort(), ["medium", "small"]);
+    assert.deepEqual(fs.readdirSync(outputDir).sort(), [`${DATE}-medium.webp`, `${DATE}-small.webp`]);
+    assert.equal(result.stale, undefined);
+    assert.match(result.phash, /^[0-9a-f]{16}$/);
+  });
+}
+
+const unlisted = {
+  id: "fixture",
+  name: "Fixture Daily",
+  country: "ES",
+  timezone: "Europe/Madrid",
+  primary: { url: "https://fixture.example/portada", method: "og:image", selector: "" },
+  fallbacks: [],
+};
+
+test("fetchCover fails when no source has a cover", async () => {
+  await assert.rejects(
+    fetchCover({ ...unlisted, id: "nothing", primary: { method: "none" } }, DATE, tmpDir(), publishers, options),
+    /Cover not found for nothing/
+  );
+});
+
+test("fetchCover never accepts a kiosko image dated another day", async () => {
+  const yesterday = recordImage("https://img.kiosko.net/2025/12/25/es/fixture.750.jpg");
+  recordPage(unlisted.primary.url, htmlPage(`<meta property="og:image" content="${yesterday}">`));
+
+  await assert.rejects(fetchCover(unlisted, DATE, tmpDir(), publishers, options), /All candidate downloads failed/);
+});
+
+test("a cover re-taken from today.json keeps the attribution it was stored with", async () => {
+  const url = recordImage("https://fixture.example/media/reused.jpg");
+  const attribution = {
+    publisher: "Fixture Daily",
+    servedBy: { name: "fixture.example", source: "meta", pageUrl: "https://fixture.example/portada" },
+  };
+  const today = [makeRecord("reused", DATE, "ok", { sourceUrl: url, attribution })];
+
+  const reused = { ...unlisted, id: "reused", sources: ["today.json"] };
+
+  const result = await fetchCover(reused, DATE, tmpDir(), publishers, withToday(today));
+
+  assert.equal(result.source, "today.json");
+  assert.deepEqual(result.attribution, attribution);
+});
+
+test("fetchCover fills the scoring trace: sources, probes, ranking and downloads", async () => {
+  const trace = createCoverTrace({ publisherId: "lesportiu", date: DATE });
+  await fetchCover(byId.get("lesportiu"), DATE, tmpDir(), publishers, { ...withToday(), trace });
+
+  assert.equal(trace.outcome, "accepted");
+  assert.equal(trace.accepted.source, "dom:page_scan");
+
+  const names = trace.sources.map((s) => s.name);
+  assert.deepEqual(names.slice(0, 3), ["today.json", "kiosko.net", "frontpages.com"]);
+  assert.ok(names.includes("primary:dom:page_scan"));
+
+  const kiosko = trace.sources.find((s) => s.name === "kiosko.net");
+  assert.equal(kiosko.status, "none");
+  assert.ok(kiosko.attempts.every((a) => a.verdict === "rejected" && a.reason.startsWith("probe failed")));
+
+  const primary = trace.sources.find((s) => s.name === "primary:dom:page_scan");
+  assert.equal(primary.status, "found");
+  const [probe] = primary.attempts;
+  assert.equal(probe.verdict, "passed");
+  assert.equal(probe.threshold, 55);
+  assert.deepEqual(
+    { width: probe.probe.width, height: probe.probe.height, contentType: probe.probe.contentType },
+    { width: 900, height: 1300, contentType: "image/jpeg" }
+  );
+  assert.equal(probe.score, probe.breakdown.reduce((sum, r) => sum + r.points, 0));
+  assert.ok(probe.breakdown.some((r) => r.rule === "size >= 900x1200" && r.points === 60));
+
+  assert.equal(trace.ranking[0].verdict, "ranked");
+  assert.deepEqual(trace.downloads.map((d) => d.verdict), ["accepted"]);
+
+  const traceDir = tmpDir();
+  writeTrace(traceDir, trace);
+  const text = formatTrace(readTrace(traceDir, "lesportiu"));
+  assert.match(text, /lesportiu 2025-12-26: accepted from dom:page_scan/);
+  assert.match(text, /PASS score \d+ \(needs 55\)/);
+  assert.match(text, /URL\(s\) failed to probe/);
+});
+
+test("a failed fetchCover still leaves a complete trace", async () => {
+  const trace = createCoverTrace({ publisherId: "nothing", date: DATE });
+  await assert.rejects(
+    fetchCover({ ...unlisted, id: "nothing", primary: { method: "none" } }, DATE, tmpDir(), publishers, {
+      ...options,
+      trace,
+    })
+  );
+  assert.equal(trace.outcome, "failed");
+  assert.match(trace.error, /Cover not found/);
+  assert.ok(trace.finishedAt);
+});
+
+test("fetchCover dryRun ranks candidates without downloading or writing", async () => {
+  const outputDir = path.join(tmpDir(), "corriere");
+
+  const result = await fetchCover(byId.get("corriere"), DATE, outputDir, publishers, { ...options, dryRun: true });
+
+  assert.equal(result.dryRun, true);
+  assert.equal(result.url, expected.corriere.url);
+  assert.equal(result.source, "meta");
+  assert.ok(result.score > 0);
+  assert.deepEqual(result.candidates.map((c) => c.url), [expected.corriere.url]);
+  assert.equal(fs.existsSync(outputDir), false);
+});
+
+test("fetchCover datedOnly skips pages that only show the latest cover", async () => {
+  const trace = createCoverTrace({ publisherId: "corriere", date: DATE });
+
+  await assert.rejects(
+    fetchCover(byId.get("corriere"), DATE, tmpDir(), publishers, { ...options, trace, datedOnly: true }),
+    /Cover not found for corriere/
+  );
+  // corriere's primary is og:image; its X fallback dates each post and stays
+  assert.deepEqual(trace.sources.map((s) => s.name), ["kiosko.net", "fallback:x_profile"]);
+});
+
+test("fetchCover datedOnly still takes a kiosko cover", async () => {
+  const result = await fetchCover(byId.get("marca"), DATE, tmpDir(), publishers, { ...options, datedOnly: true });
+  assert.equal(result.source, expected.marca.source);
+});
+
+test("fetchCover writes nothing outside its output directory", async () => {
+  const dataDir = path.join(tmpDir(), "untouched");
+  const readOnly = createDataStore(dataDir, { readOnly: true });
+  const outputDir = tmpDir();
+
+  const result = await fetchCover(byId.get("marca"), DATE, outputDir, publishers, {
+    ...options,
+    knownGood: readOnly.knownGoodCover,
+  });
+  assert.equal(result.url, expected.marca.url);
+  assert.equal(fs.existsSync(dataDir), false);
+  assert.deepEqual(fs.readdirSync(outputDir).sort(), [`${DATE}-medium.webp`, `${DATE}-small.webp`]);
+});
+
+test("a publisher's sources and slugs override the aggregator defaults", async () => {
+  recordPage(
+    "https://www.frontpages.com/fixture-sport/",
+    htmlPage("", `<img id="giornale-img" src="/g/2025/12/26/fixture-sport.webp.jpg" alt="Fixture">`)
+  );
+  const url = recordImage("https://www.frontpages.com/g/2025/12/26/fixture-sport.webp.jpg");
+  const trace = createCoverTrace({ publisherId: "fixture", date: DATE });
+
+  const result = await fetchCover(
+    { ...unlisted, sources: ["frontpages", "kiosko"], slugs: { frontpages: ["fixture-sport"] } },
+    DATE,
+    tmpDir(),
+    publishers,
+    { ...options, trace }
+  );
+
+  assert.equal(result.source, "frontpages.com");
+  assert.equal(result.url, url);
+  assert.deepEqual(trace.sources.map((s) => s.name), ["frontpages.com", "kiosko.net"]);
+});
+
+test("a page robots.txt disallows is never fetched and the block is reported", async () => {
+  recordPage("https://blocked.example/robots.txt", "User-agent: *\nDisallow: /portada\n");
+  recordPage(
+    "https://blocked.example/portada",
+    htmlPage(`<meta property="og:image" content="${recordImage("https://blocked.example/cover.jpg")}">`)
+  );
+  const trace = createCoverTrace({ publisherId: "blocked", date: DATE });
+  const blockedPublisher = {
+    ...unlisted,
+    id: "blocked",
+    sources: ["primary"],
+    primary: { url: "https://blocked.example/portada", method: "og:image", selector: "" },
+  };
+
+  const err = await fetchCover(blockedPublisher, DATE, tmpDir(), publishers, { ...options, trace }).catch((e) => e);
+
+  assert.match(err.message, /^Cover not found for blocked \(2025-12-26\) \(robots.txt blocked 1 fetch\(es\)\)$/);
+  assert.deepEqual(err.blocked, [{ url: "https://blocked.example/portada", rule: "Disallow: /portada" }]);
+  assert.deepEqual(trace.blocked, err.blocked);
+  assert.ok(blockedFetches().some((b) => b.url === "https://blocked.example/portada"));
+  assert.match(formatTrace(trace), /Blocked by robots.txt:\n {2}https:\/\/blocked.example\/portada\n {6}Disallow: \/portada/);
+});
+
+test("every publisher sharing a blocked page reports the block, not only the one that fetched it", async () => {
+  recordPage("https://shared-block.example/robots.txt", "User-agent: *\nDisallow: /\n");
+  const sharing = (id) => ({
+    ...unlisted,
+    id,
+    sources: ["primary"],
+    primary: { url: "https://shared-block.example/portada", method: "og:image", selector: "" },
+  });
+
+  const errors = await Promise.all(
+    ["first", "second"].map((id) => fetchCover(sharing(id), DATE, tmpDir(), publishers, options).catch((e) => e))
+  );
+
+  for (const err of errors) {
+    assert.deepEqual(err.blocked, [{ url: "https://shared-block.example/portada", rule: "Disallow: /" }]);
+  }
+});
+
+test("a cover matching an earlier day's is rejected, or kept with stale: true under onStale flag", async () => {
+  const fresh = tmpDir();
+  await fetchCover(byId.get("marca"), DATE, fresh, publishers, options);
+
+  // Yesterday's archive holds the very same image, so today's dHash is at distance 0
+  const outputDir = tmpDir();
+  fs.copyFileSync(path.join(fresh, `${DATE}-medium.webp`), path.join(outputDir, "2025-12-25-medium.webp"));
+  const trace = createCoverTrace({ publisherId: "marca", date: DATE });
+
+  await assert.rejects(
+    fetchCover(byId.get("marca"), DATE, outputDir, publishers, { ...options, trace }),
+    /Only stale covers found for marca \(2025-12-26\): best match is 2025-12-25/
+  );
+  assert.ok(trace.downloads.some((d) => d.verdict === "rejected" && /^stale: matches 2025-12-25 \(distance \d\)$/.test(d.reason)));
+  assert.deepEqual(fs.readdirSync(outputDir), ["2025-12-25-medium.webp"]);
+
+  const flagged = await fetchCover(byId.get("marca"), DATE, outputDir, publishers, {
+    ...options,
+    staleCheck: { ...options.staleCheck, onStale: "flag" },
+  });
+  assert.equal(flagged.stale, true);
+  assert.equal(flagged.staleMatchedDate, "2025-12-25");
+  assert.deepEqual(fs.readdirSync(outputDir).sort(), [
+    "2025-12-25-medium.webp",
+    `${DATE}-medium.webp`,
+    `${DATE}-small.webp`,
+  ]);
+});
+
+test("a download cut short is rejected and nothing is left behind", async () => {
+  const url = "https://img.kiosko.net/2025/12/26/es/truncated.750.jpg";
+  writeCassetteEntry(
+    cassetteDir,
+    { url },
+    { status: 200, headers: { "content-type": "image/jpeg" }, body: COVER.subarray(0, COVER.length - 500) }
+  );
+  const trace = createCoverTrace({ publisherId: "truncated", date: DATE });
+  const outputDir = tmpDir();
+
+  await assert.rejects(
+    fetchCover({ ...unlisted, id: "truncated", sources: ["kiosko"] }, DATE, outputDir, publishers, {
+      ...options,
+      trace,
+    }),
+    /Truncated download: JPEG has no end-of-image marker/
+  );
+  assert.deepEqual(fs.readdirSync(outputDir), []);
+});
+
+test("a compressed download is not mistaken for a truncated one", async () => {
+  // axios has already decoded the body; content-length is still the encoded size
+  const url = "https://img.kiosko.net/2025/12/26/es/gzipped.750.jpg";
+  writeCassetteEntry(
+    cassetteDir,
+    { url },
+    {
+      status: 200,
+      headers: { "content-type": "image/jpeg", "content-encoding": "gzip", "content-length": COVER.length - 5000 },
+      body: COVER,
+    }
+  );
+  const result = await fetchCover({ ...unlisted, id: "gzipped", sources: ["kiosko"] }, DATE, tmpDir(), publishers, options);
+  assert.equal(result.url, url);
+});
+
+test("an identical re-download keeps the saved files and reports unchanged", async () => {
+  const outputDir = tmpDir();
+  const first = await fetchCover(byId.get("marca"), DATE, outputDir, publishers, options);
+  assert.match(first.sha256, /^[0-9a-f]{64}$/);
+  assert.equal(first.unchanged, undefined);
+
+  const saved = fs.statSync(path.join(outputDir, first.files.medium)).mtimeMs;
+  const previous = { sha256: first.sha256, phash: first.phash };
+  const second = await fetchCover(byId.get("marca"), DATE, outputDir, publishers, { ...options, previous });
+
+  assert.equal(second.unchanged, true);
+  assert.equal(second.sha256, first.sha256);
+  assert.deepEqual(second.files, first.files);
+  assert.equal(fs.statSync(path.join(outputDir, first.files.medium)).mtimeMs, saved);
+  assert.deepEqual(fs.readdirSync(outputDir).sort(), [`${DATE}-medium.webp`, `${DATE}-small.webp`]);
+});
+
+test("onOriginal reads the full-size download before thumbnails_only deletes it", async () => {
+  const outputDir = tmpDir();
+  const seen = [];
+  const result = await fetchCover(byId.get("marca"), DATE, outputDir, publishers, {
+    ...options,
+    onOriginal: async (file) => seen.push({ file, bytes: fs.readFileSync(file).length }),
+  });
+
+  assert.equal(result.files.original, undefined);
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0].bytes, COVER.length);
+  assert.equal(fs.existsSync(seen[0].file), false);
+
+  const previous = { sha256: result.sha256, phash: result.phash };
+  await fetchCover(byId.get("marca"), DATE, outputDir, publishers, {
+    ...options,
+    previous,
+    onOriginal: async (file) => seen.push({ file }),
+  });
+  assert.equal(seen.length, 1);
+});
@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { buildGallery, writeGallery } from "../src/gallery.js";
+import { makeRecord, testPublishers, tmpDir } from "./helpers.js";
+
+const publishers = testPublishers(["marca", "as", "kicker"]);
+const legal = { display: "thumbnails_only", attributionRequired: true };
+
+const cover = (publisherId, date) =>
+  makeRecord(publisherId, date, "ok", { imageOriginalUrl: `./data/images/es/${publisherId}/${date}.jpg` });
+
+const today = [
+  cover("marca", "2026-01-02"),
+  makeRecord("as", "2026-01-02", "error", { error: "Cover not found <script>" }),
+  makeRecord("kicker", "2026-01-02", "no_issue", { currentIssueDate: "2025-12-29" }),
+];
+const history = [cover("marca", "2026-01-01"), makeRecord("as", "2026-01-01", "ok", { imageExpired: true }), ...today];
+
+test("index.html groups today's covers by groupLabel, with placeholders for failures", () => {
+  const html = buildGallery({ today, history, publishers, legal }).get("index.html");
+  assert.ok(html.indexOf("<h2>Spain</h2>") < html.indexOf("<h2>Germany</h2>"));
+  assert.ok(html.includes('<img src="./data/images/es/marca/2026-01-02-medium.webp"'));
+  assert.ok(html.includes("Not available: Cover not found &lt;script&gt;"));
+  assert.ok(html.includes("current issue: 2025-12-29"));
+  assert.ok(html.includes('href="./publishers/marca.html"'));
+  assert.ok(html.includes('<link rel="alternate" type="application/atom+xml"'));
+});
+
+test("thumbnails_only links covers to their source and credits the publisher", () => {
+  const html = buildGallery({ today, history, publishers, legal }).get("index.html");
+  assert.ok(!html.includes("2026-01-02.jpg"));
+  assert.ok(html.includes('<a href="https://img.kiosko.net/2026/01/02/es/marca.750.jpg" rel="noopener"><img'));
+  assert.ok(html.includes("© Marca · <a"));
+
+  const full = buildGallery({ today, history, publishers, legal: { display: "full" } }).get("index.html");
+  assert.ok(full.includes('<a href="./data/images/es/marca/2026-01-02.jpg" rel="noopener"><img'));
+  assert.ok(!full.includes("© Marca"));
+});
+
+test("a cover with attribution is credited from its own fields", () => {
+  const attributed = {
+    ...cover("marca", "2026-01-03"),
+    attribution: {
+      publisher: "Marca",
+      homepage: "https://www.marca.com/",
+      servedBy: { name: "kiosko.net", source: "kiosko.net(np:#portada)", pageUrl: "https://es.kiosko.net/es/np/marca.html" },
+      copyright: "© 2026 Marca",
+      license: "all-rights-reserved",
+      display: "thumbnails_only",
+      required: true,
+    },
+  };
+  // No legal block and no publisher entry: the record alone decides
+  const html = buildGallery({ today: [attributed], history: [], publishers: [publishers[0]], legal: {} }).get("index.html");
+  assert.ok(
+    html.includes(
+      '<div class="credit">© 2026 Marca · <a href="https://www.marca.com/" rel="noopener">www.marca.com</a> · ' +
+        'via <a href="https://es.kiosko.net/es/np/marca.html" rel="noopener">kiosko.net</a></div>'
+    )
+  );
+  assert.ok(html.includes('<a href="https://img.kiosko.net/2026/01/03/es/marca.750.jpg" rel="noopener"><img'));
+});
+
+test("archive pages link the previous and next dates; publisher pages list every day", () => {
+  const pages = buildGallery({ today, history, publishers, legal });
+  const first = pages.get("archive/2026-01-01.html");
+  assert.ok(first.includes('<a href="2026-01-02.html" rel="next">'));
+  assert.ok(!first.includes('rel="prev"'));
+  assert.ok(first.includes('src="../data/images/es/marca/2026-01-01-medium.webp"'));
+  assert.ok(first.includes("Image removed after the archive window"));
+  assert.ok(pages.get("archive/2026-01-02.html").includes('<a href="2026-01-01.html" rel="prev">'));
+
+  const as = pages.get("publishers/as.html");
+  assert.ok(as.indexOf('href="../archive/2026-01-02.html"') < as.indexOf('href="../archive/2026-01-01.html"'));
+});
+
+test("writeGallery replaces earlier archive pages", () => {
+  const dir = tmpDir();
+  writeGallery(dir, { today, history, publishers, legal });
+  assert.ok(fs.existsSync(path.join(dir, "archive/2026-01-01.html")));
+  assert.ok(fs.existsSync(path.join(dir, "assets/gallery.css")));
+
+  assert.equal(writeGallery(dir, { today, history: today, publishers, legal }), 5);
+  assert.equal(fs.existsSync(path.join(dir, "archive/2026-01-01.html")), false);
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildStatus, formatRunSummary, overFailureStreak, publisherHealth } from "../src/health.js";
+import { makeRecord, testPublishers } from "./helpers.js";
+
+
+test("publisherHealth counts the failure streak across days without an issue", () => {
+  const health = publisherHealth(
+    [
+      makeRecord("kicker", "2026-01-01", "ok", { source: "kiosko.net(direct)" }),
+      makeRecord("kicker", "2026-01-02", "ok", { source: "primary:meta" }),
+      makeRecord("kicker", "2026-01-03", "error"),
+      makeRecord("kicker", "2026-01-04", "no_issue"),
+      makeRecord("kicker", "2026-01-05", "error", { error: "HTTP 503" }),
+    ],
+    { firstDay: "2026-01-02" }
+  );
+  assert.deepEqual(health, {
+    lastSuccess: "2026-01-02",
+    failureStreak: 2,
+    successRate: 0.33,
+    days: 3,
+    lastError: "HTTP 503",
+    sources: { "2026-01-02": "primary:meta" },
+  });
+});
+
+test("a publication day with no record ends the failure streak; non-publication days do not", () => {
+  const records = [
+    makeRecord("kicker", "2026-01-01", "error", { error: "a" }),
+    makeRecord("kicker", "2026-01-05", "error", { error: "b" }),
+    makeRecord("kicker", "2026-01-08", "error", { error: "c" }),
+  ];
+  // Daily: nothing ran on 2026-01-06 and 2026-01-07, so only 2026-01-08 counts
+  assert.equal(publisherHealth(records).failureStreak, 1);
+
+  // Mondays and Thursdays: 2026-01-01 (Thu), 2026-01-05 (Mon) and 2026-01-08 (Thu) are consecutive issues
+  const [kicker] = testPublishers(["kicker"], { kicker: { schedule: { weekdays: ["mon", "thu"] } } });
+  assert.equal(publisherHealth(records, { publisher: kicker }).failureStreak, 3);
+
+  // Thursday 2026-01-01 never scraped ends it, unless it is a holiday
+  const missed = [makeRecord("kicker", "2025-12-29", "error", { error: "d" }), ...records.slice(1)];
+  assert.equal(publisherHealth(missed, { publisher: kicker }).failureStreak, 2);
+  assert.equal(publisherHealth(missed, { publisher: kicker, holidays: { DE: ["2026-01-01"] } }).failureStreak, 3);
+});
+
+test("buildStatus and the Markdown summary flag publishers past maxFailureStreak", () => {
+  const history = [
+    makeRecord("kicker", "2026-01-08", "error", { error: "a" }),
+    makeRecord("kicker", "2026-01-09", "error", { error: "b | c" }),
+  ];
+  const status = buildStatus({
+    history,
+    results: [history[1]],
+    publishers: testPublishers(["kicker", "retired"]),
+    legal: { archiveDays: 7 },
+    maxFailureStreak: 1,
+    label: "Scrape",
+    now: new Date("2026-01-09T12:00:00Z"),
+  });
+  assert.deepEqual(Object.keys(status.publishers), ["kicker"]);
+  assert.deepEqual(status.run, { label: "Scrape", ok: 0, failed: 1, failedIds: ["kicker-2026-01-09"], robotsBlocked: 0 });
+  assert.deepEqual(overFailureStreak(status, ["kicker"]), ["kicker"]);
+  assert.deepEqual(overFailureStreak({ ...status, maxFailureStreak: 2 }, ["kicker"]), []);
+
+  const summary = formatRunSummary(status, [history[1]]);
+  assert.ok(summary.startsWith("## Scrape: 0 ok, 1 failed"));
+  assert.ok(summary.includes("failing for more than 1 days in a row: kicker"));
+  assert.ok(summary.includes("| Kicker | 2026-01-09 | ❌ b \\| c |  | 2 | 0% |"), summary);
+});
@@ -0,0 +1,136 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jpeg from "jpeg-js";
+
+/**
+ * Shared builders for the offline test suite: synthetic cover images,
+ * scratch directories and HTML pages to put into cassettes.
+ */
+
+export const FIXTURES_DIR = path.join(path.dirname(new URL(import.meta.url).pathname), "fixtures");
+
+export function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+}
+
+export function tmpDir(prefix = "covers-test-") {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * Portrait JPEG with a noisy gradient, so it encodes well above the 40 KB
+ * "too small to be a cover" penalty of scoreCoverCandidate(). Odd and even
+ * seeds run the gradient in opposite directions, so the stale check tells them apart.
+ */
+export function makeJpeg(width = 900, height = 1300, seed = 1) {
+  const data = Buffer.alloc(width * height * 4);
+  let x = seed * 2654435761;
+  for (let i = 0; i < width * height; i++) {
+    x = (x * 1103515245 + 12345) & 0x7fffffff;
+    const col = seed % 2 ? i % width : width - 1 - (i % width);
+    const row = Math.floor(i / width);
+    data[i * 4] = ((col >> 3) * 2 + ((x >> 16) & 31)) & 0xff;
+    data[i * 4 + 1] = (row >> 3) & 0xff;
+    data[i * 4 + 2] = (seed * 40) & 0xff;
+    data[i * 4 + 3] = 255;
+  }
+  return jpeg.encode({ data, width, height }, 75).data;
+}
+
+/** Minimal RIFF/WEBP container with a VP8X header (canvas size only). */
+export function makeWebpHeader(width, height) {
+  const buf = Buffer.alloc(30 + 16);
+  buf.write("RIFF", 0, "ascii");
+  buf.writeUInt32LE(buf.length - 8, 4);
+  buf.write("WEBP", 8, "ascii");
+  buf.write("VP8X", 12, "ascii");
+  buf.writeUInt32LE(10, 16);
+  buf.writeUIntLE(width - 1, 24, 3);
+  buf.writeUIntLE(height - 1, 27, 3);
+  return buf;
+}
+
+export function htmlPage(head = "", body = "") {
+  return `<!doctype html><html><head><title>fixture</title>${head}</head><body>${body}</body></html>`;
+}
+
+/**
+ * Nitter timeline with one item per post:
+ * { id, postedAt: "Dec 26, 2025 · 7:30 AM UTC", text, image, retweet, pinned }
+ */
+export function nitterTimelineHtml(handle, posts) {
+  const items = posts.map((p) => {
+    const media = p.image
+      ? `<div class="attachments"><a class="still-image" href="/pic/orig/${encodeURIComponent(
+          `media/${p.image}`
+        )}"><img src="/pic/${encodeURIComponent(`media/${p.image}?name=small`)}"></a></div>`
+      : "";
+    return `
+      <div class="timeline-item">
+        ${p.pinned ? '<div class="pinned">Pinned Tweet</div>' : ""}
+        ${p.retweet ? '<div class="retweet-header">retweeted</div>' : ""}
+        <a class="tweet-link" href="/${handle}/status/${p.id}#m"></a>
+        <span class="tweet-date"><a href="/${handle}/status/${p.id}#m" title="${p.postedAt}">1h</a></span>
+        <div class="tweet-content">${p.text || ""}</div>
+        ${media}
+      </div>`;
+  });
+  return htmlPage("", `<div class="timeline">${items.join("")}</div>`);
+}
+
+/**
+ * Publishers for the record-level tests (api, feeds, gallery, health, history, retention),
+ * shaped like publishers.json entries. `ids` picks and orders them; `overrides` by id adds
+ * or replaces fields (e.g. { kicker: { legal: { archiveDays: 2 } } }).
+ */
+const TEST_PUBLISHERS = [
+  { id: "marca", name: "Marca", country: "ES", groupLabel: "Spain", timezone: "Europe/Madrid" },
+  { id: "as", name: "AS", country: "ES", groupLabel: "Spain", timezone: "Europe/Madrid" },
+  { id: "kicker", name: "Kicker", country: "DE", groupLabel: "Germany", timezone: "Europe/Berlin" },
+  { id: "dailystar", name: "Daily Star", country: "UK", groupLabel: "UK Back Pages", timezone: "Europe/London" },
+  { id: "retired", name: "Retired", country: "IT", groupLabel: "Italy", timezone: "Europe/Rome", enabled: false },
+];
+
+export function testPublishers(ids = TEST_PUBLISHERS.map((p) => p.id), overrides = {}) {
+  return ids.map((id) => {
+    const p = TEST_PUBLISHERS.find((x) => x.id === id);
+    return { type: "newspaper", enabled: true, ...p, ...(overrides[id] || {}) };
+  });
+}
+
+/** Path of an archived image as records store it: ./data/images/<cc>/<id>/<date>-<size>.webp */
+export function archivedImageUrl(publisherId, date, size = "medium") {
+  const country = TEST_PUBLISHERS.find((p) => p.id === publisherId)?.country || "ES";
+  return `./data/images/${country.toLowerCase()}/${publisherId}/${date}-${size}.webp`;
+}
+
+/**
+ * A history / today.json record of a testPublishers() publisher on `date`. An "ok" record
+ * has a kiosko sourceUrl and small and medium images (no images once `imageExpired`, as
+ * retention leaves it), an "error" one an error message; `extra` adds or replaces fields.
+ */
+export function makeRecord(publisherId, date, status = "ok", extra = {}) {
+  const p = TEST_PUBLISHERS.find((x) => x.id === publisherId) || { name: publisherId, country: "ES", groupLabel: "" };
+  return {
+    id: `${publisherId}-${date}`,
+    publisherId,
+    publisherName: p.name,
+    country: p.country,
+    groupLabel: p.groupLabel,
+    date,
+    status,
+    ...(status === "ok" && !extra.imageExpired
+      ? {
+          imageSmallUrl: archivedImageUrl(publisherId, date, "small"),
+          imageMediumUrl: archivedImageUrl(publisherId, date),
+        }
+      : {}),
+    ...(status === "ok"
+      ? { sourceUrl: `//img.kiosko.net/${date.replaceAll("-", "/")}/${p.country.toLowerCase()}/${publisherId}.750.jpg` }
+      : {}),
+    ...(status === "error" ? { error: "Cover not found" } : {}),
+    scrapedAt: `${date}T06:00:00.000Z`,
+    ...extra,
+  };
+}
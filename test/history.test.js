@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  mergeHistory,
+  migrateLegacyHistory,
+  readHistory,
+  readHistoryIndex,
+  statusOf,
+  writeHistory,
+} from "../src/history.js";
+import { makeRecord, tmpDir } from "./helpers.js";
+
+test("mergeHistory keeps one record per publisher-day, preferring covers over errors", () => {
+  const merged = mergeHistory(
+    [makeRecord("marca", "2025-12-26", "error"), makeRecord("as", "2025-12-26", "ok", { run: 1 })],
+    [
+      makeRecord("marca", "2025-12-26", "ok"),
+      makeRecord("as", "2025-12-26", "error"),
+      makeRecord("as", "2025-12-27", "no_issue"),
+    ]
+  );
+  assert.deepEqual(
+    merged.map((r) => `${r.id} ${r.status}`),
+    ["marca-2025-12-26 ok", "as-2025-12-26 ok", "as-2025-12-27 no_issue"]
+  );
+});
+
+test("mergeHistory: between equals the newer record wins; legacy records without status are ranked too", () => {
+  const [newer] = mergeHistory(
+    [makeRecord("as", "2025-12-26", "ok", { run: 1 })],
+    [makeRecord("as", "2025-12-26", "ok", { run: 2 })]
+  );
+  assert.equal(newer.run, 2);
+
+  const legacy = { id: "as-2025-12-26", publisherId: "as", date: "2025-12-26", imageMediumUrl: "./data/x.webp" };
+  const [kept] = mergeHistory([legacy], [{ ...legacy, imageMediumUrl: undefined, error: "Cover not found" }]);
+  assert.equal(kept, legacy);
+});
+
+test("statusOf reads status, or infers it for records written before it existed", () => {
+  assert.equal(statusOf(makeRecord("as", "2025-12-26", "no_issue", { imageMediumUrl: "./data/x.webp" })), "no_issue");
+  assert.equal(statusOf({ error: "Cover not found", imageMediumUrl: "./data/x.webp" }), "error");
+  assert.equal(statusOf({ imageMediumUrl: "./data/x.webp" }), "ok");
+  assert.equal(statusOf({}), "no_issue");
+});
+
+test("writeHistory partitions by month and only rewrites changed partitions", () => {
+  const dir = tmpDir();
+  const history = [
+    makeRecord("marca", "2026-01-02", "ok"),
+    makeRecord("as", "2025-12-31", "ok"),
+    makeRecord("as", "2026-01-01", "error"),
+  ];
+
+  assert.deepEqual(writeHistory(dir, history), ["2025-12", "2026-01"]);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ["2025-12.json", "2026-01.json", "index.json"]);
+  assert.deepEqual(
+    readHistoryIndex(dir).partitions.map(({ month, records, dates }) => ({ month, records, dates })),
+    [
+      { month: "2025-12", records: 1, dates: ["2025-12-31"] },
+      { month: "2026-01", records: 2, dates: ["2026-01-01", "2026-01-02"] },
+    ]
+  );
+  assert.deepEqual(readHistory(dir).map((r) => r.id), ["as-2025-12-31", "as-2026-01-01", "marca-2026-01-02"]);
+
+  const updated = mergeHistory(readHistory(dir), [makeRecord("as", "2026-01-01", "ok")]);
+  assert.deepEqual(writeHistory(dir, updated), ["2026-01"]);
+  assert.deepEqual(writeHistory(dir, updated), []);
+
+  // A month with nothing left is removed
+  writeHistory(dir, updated.filter((r) => r.date.startsWith("2026")));
+  assert.equal(fs.existsSync(path.join(dir, "2025-12.json")), false);
+});
+
+test("migrateLegacyHistory dedupes an append-only covers.json into partitions", () => {
+  const root = tmpDir();
+  const legacyFile = path.join(root, "covers.json");
+  const dir = path.join(root, "history");
+  fs.writeFileSync(
+    legacyFile,
+    JSON.stringify([
+      makeRecord("marca", "2025-12-21", "error"),
+      makeRecord("marca", "2025-12-21", "ok"),
+      makeRecord("marca", "2025-12-21", "error"),
+      makeRecord("as", "2025-12-21", "error"),
+      { id: "sport-2025-12-21", publisherId: "sport", date: "2025-12-21", imageMediumUrl: "./data/x.jpg" },
+    ])
+  );
+
+  assert.deepEqual(migrateLegacyHistory(legacyFile, dir), { before: 5, after: 3 });
+  assert.equal(fs.existsSync(legacyFile), false);
+  assert.deepEqual(
+    readHistory(dir).map((r) => `${r.id} ${r.status}`),
+    ["as-2025-12-21 error", "marca-2025-12-21 ok", "sport-2025-12-21 ok"]
+  );
+  assert.equal(migrateLegacyHistory(legacyFile, dir), null);
+});
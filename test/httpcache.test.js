@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { createHttpCache } from "../src/httpcache.js";
+import { tmpDir } from "./helpers.js";
+
+const PAGE = "https://es.kiosko.net/es/np/marca.html";
+
+// A server that answers 304 when the conditional headers match what it last sent
+function origin(headers) {
+  const requests = [];
+  const doRequest = async (conditional) => {
+    requests.push(conditional);
+    const fresh =
+      (headers.etag && conditional["If-None-Match"] === headers.etag) ||
+      (headers["last-modified"] && conditional["If-Modified-Since"] === headers["last-modified"]);
+    if (fresh) return { status: 304, headers: {}, data: Buffer.alloc(0) };
+    return { status: 200, headers: { "content-type": "text/html", ...headers }, data: Buffer.from("<html>portada</html>") };
+  };
+  return { requests, doRequest };
+}
+
+test("a stored ETag is revalidated with If-None-Match and a 304 serves the cached body", async () => {
+  const dir = tmpDir();
+  const server = origin({ etag: '"v1"' });
+
+  const first = createHttpCache({ dir });
+  assert.equal((await first.get(PAGE, server.doRequest)).data.toString(), "<html>portada</html>");
+  assert.equal(first.stats.stored, 1);
+  assert.deepEqual(fs.readdirSync(dir).filter((f) => f.endsWith(".tmp")), []);
+
+  // Next run: a new cache over the same directory
+  const second = createHttpCache({ dir });
+  const res = await second.get(PAGE, server.doRequest);
+  assert.deepEqual(server.requests[1], { "If-None-Match": '"v1"' });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers["content-type"], "text/html");
+  assert.equal(res.data.toString(), "<html>portada</html>");
+  assert.equal(second.stats.revalidated, 1);
+  assert.equal(second.stats.fetched, 0);
+});
+
+test("Last-Modified is revalidated with If-Modified-Since", async () => {
+  const dir = tmpDir();
+  const server = origin({ "last-modified": "Fri, 26 Dec 2025 05:00:00 GMT" });
+  await createHttpCache({ dir }).get(PAGE, server.doRequest);
+
+  const cache = createHttpCache({ dir });
+  assert.equal((await cache.get(PAGE, server.doRequest)).data.toString(), "<html>portada</html>");
+  assert.deepEqual(server.requests[1], { "If-Modified-Since": "Fri, 26 Dec 2025 05:00:00 GMT" });
+  assert.equal(cache.stats.revalidated, 1);
+});
+
+test("a response without validators is not stored; identical requests share one fetch within a run", async () => {
+  const dir = tmpDir();
+  const server = origin({});
+  const cache = createHttpCache({ dir });
+
+  const [a, b] = await Promise.all([cache.get(PAGE, server.doRequest), cache.get(PAGE, server.doRequest)]);
+  assert.equal(a, b);
+  assert.equal(server.requests.length, 1);
+  assert.equal(cache.stats.memoryHits, 1);
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test("a 304 with nothing cached is an error", async () => {
+  const cache = createHttpCache({ dir: tmpDir() });
+  await assert.rejects(
+    cache.get(PAGE, async () => ({ status: 304, headers: {}, data: Buffer.alloc(0) })),
+    /304 without a cached copy/
+  );
+});
@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PNG } from "pngjs";
+import { getJpegSize, getPngSize, getWebpSize } from "../src/fetchers.js";
+import { encodeWebpBuffer, incompleteImageReason, sniffImageType } from "../src/images.js";
+import { makeJpeg, makeWebpHeader } from "./helpers.js";
+
+test("getJpegSize reads the SOF frame size", () => {
+  assert.deepEqual(getJpegSize(makeJpeg(120, 180)), { width: 120, height: 180 });
+});
+
+test("getJpegSize works on a truncated probe (first bytes only)", () => {
+  const buf = makeJpeg(640, 960);
+  assert.deepEqual(getJpegSize(buf.subarray(0, 1024)), { width: 640, height: 960 });
+});
+
+test("getJpegSize rejects non-JPEG data", () => {
+  assert.equal(getJpegSize(Buffer.from("not a jpeg at all")), null);
+});
+
+test("getPngSize reads IHDR", () => {
+  const png = new PNG({ width: 33, height: 47 });
+  assert.deepEqual(getPngSize(PNG.sync.write(png)), { width: 33, height: 47 });
+});
+
+test("getPngSize rejects a bad signature", () => {
+  assert.equal(getPngSize(Buffer.alloc(32)), null);
+});
+
+test("getWebpSize reads the VP8X canvas size", () => {
+  assert.deepEqual(getWebpSize(makeWebpHeader(1200, 1800)), { width: 1200, height: 1800 });
+});
+
+test("getWebpSize reads lossy (VP8) frames", async () => {
+  const data = new Uint8ClampedArray(50 * 70 * 4).fill(200);
+  const webp = await encodeWebpBuffer({ width: 50, height: 70, data }, 75);
+  assert.deepEqual(getWebpSize(webp), { width: 50, height: 70 });
+});
+
+test("getWebpSize rejects non-WebP RIFF files", () => {
+  const buf = makeWebpHeader(10, 10);
+  buf.write("WAVE", 8, "ascii");
+  assert.equal(getWebpSize(buf), null);
+});
+
+test("incompleteImageReason spots JPEG, PNG and WebP files cut short", async () => {
+  const jpeg = makeJpeg(120, 180);
+  assert.equal(sniffImageType(jpeg), "jpeg");
+  assert.equal(incompleteImageReason(jpeg, "jpeg"), null);
+  assert.equal(incompleteImageReason(Buffer.concat([jpeg, Buffer.from("\r\n")]), "jpeg"), null);
+  assert.equal(incompleteImageReason(jpeg.subarray(0, jpeg.length - 100), "jpeg"), "JPEG has no end-of-image marker");
+
+  const png = PNG.sync.write(new PNG({ width: 33, height: 47 }));
+  assert.equal(sniffImageType(png), "png");
+  assert.equal(incompleteImageReason(png, "png"), null);
+  assert.equal(incompleteImageReason(png.subarray(0, png.length - 12), "png"), "PNG has no IEND chunk");
+
+  const image = { width: 16, height: 16, data: new Uint8ClampedArray(16 * 16 * 4).fill(200) };
+  const webp = await encodeWebpBuffer(image, 80);
+  assert.equal(sniffImageType(webp), "webp");
+  assert.equal(incompleteImageReason(webp, "webp"), null);
+  assert.match(incompleteImageReason(webp.subarray(0, webp.length - 4), "webp"), /^WebP is \d+ of \d+ bytes$/);
+
+  assert.equal(sniffImageType(Buffer.from("<html>not an image</html>")), null);
+});
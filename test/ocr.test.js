@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractHeadline } from "../src/ocr.js";
+
+// An OCR line at `y0` on a 1000px-tall page, `height` pixels tall
+const line = (text, y0, height, confidence = 90) => ({ text, confidence, bbox: { x0: 0, x1: 600, y0, y1: y0 + height } });
+const footer = line("Todo el deporte cada día", 960, 40);
+
+test("the masthead is skipped: by position at the top, and by the publisher's name", () => {
+  const lines = [line("MARCA", 20, 90), line("Marca", 150, 80), line("El Madrid gana", 400, 60), footer];
+  assert.equal(extractHeadline(lines, { publisherName: "Marca" }).headline, "El Madrid gana");
+  // Without the name, the second MARCA is just the tallest line
+  assert.equal(extractHeadline(lines).headline, "Marca");
+});
+
+test("the headline grows through adjacent lines of similar size", () => {
+  const lines = [
+    line("Noche mágica", 400, 60),
+    line("en el Bernabéu", 470, 55),
+    line("con goles de todos", 540, 50),
+    // Too far below
+    line("Goleada histórica", 800, 60),
+    // Too small
+    line("Crónica en páginas interiores", 600, 20),
+    footer,
+  ];
+  assert.equal(extractHeadline(lines).headline, "Noche mágica en el Bernabéu con goles de todos");
+});
+
+test("the kicker is the smaller line right above the headline", () => {
+  const lines = [line("Liga: jornada 18", 350, 25), line("El Barça sentencia", 400, 60), footer];
+  assert.deepEqual(extractHeadline(lines), { headline: "El Barça sentencia", kicker: "Liga: jornada 18" });
+
+  // Too far above to belong to it
+  const apart = [line("Liga: jornada 18", 150, 25), line("El Barça sentencia", 400, 60), footer];
+  assert.equal(extractHeadline(apart).kicker, null);
+});
+
+test("low-confidence lines and symbol noise are ignored", () => {
+  const lines = [
+    line("Campeones del mundo", 300, 90, 30),
+    line("#@%& )) ~~ ab", 350, 80),
+    line("Vuelta al cole", 500, 50),
+    footer,
+  ];
+  assert.equal(extractHeadline(lines).headline, "Vuelta al cole");
+  assert.equal(extractHeadline(lines, { minConfidence: 20 }).headline, "Campeones del mundo");
+  assert.deepEqual(extractHeadline([line("?? !!", 500, 50), { ...footer, confidence: 10 }]), { headline: null, kicker: null });
+});
@@ -0,0 +1,119 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { statusOf } from "../src/history.js";
+import { applyRetention, formatRetentionReport } from "../src/retention.js";
+import { archivedImageUrl, makeRecord, testPublishers, tmpDir } from "./helpers.js";
+
+const TODAY = "2026-01-10";
+const publishers = testPublishers(["marca", "kicker"], { kicker: { legal: { archiveDays: 30 } } });
+const legal = { archiveDays: 7 };
+
+// A site root with one archived medium image per (publisher, date)
+function siteWith(images) {
+  const outputDir = tmpDir();
+  for (const [publisherId, date] of images) {
+    const file = path.join(outputDir, archivedImageUrl(publisherId, date));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, "webp");
+  }
+  return { outputDir, imagesDir: path.join(outputDir, "data", "images") };
+}
+
+const exists = (outputDir, url) => fs.existsSync(path.join(outputDir, url));
+
+test("images older than the window are deleted; a publisher's own archiveDays overrides the global one", () => {
+  const { outputDir, imagesDir } = siteWith([
+    ["marca", "2026-01-03"],
+    ["marca", "2026-01-04"],
+    ["kicker", "2026-01-03"],
+  ]);
+  const { report } = applyRetention({ imagesDir, outputDir, publishers, legal, today: TODAY });
+
+  assert.deepEqual(report.imagesDeleted, [path.join(outputDir, archivedImageUrl("marca", "2026-01-03"))]);
+  assert.equal(exists(outputDir, archivedImageUrl("marca", "2026-01-03")), false);
+  assert.equal(exists(outputDir, archivedImageUrl("marca", "2026-01-04")), true);
+  assert.equal(exists(outputDir, archivedImageUrl("kicker", "2026-01-03")), true);
+});
+
+test("expired records are dropped, or reduced to metadata under keepMetadata", () => {
+  const history = [
+    makeRecord("marca", "2026-01-02", "ok", { headline: "Clásico" }),
+    makeRecord("marca", "2026-01-09", "ok"),
+  ];
+  const { outputDir, imagesDir } = siteWith([]);
+
+  const dropped = applyRetention({ history, imagesDir, outputDir, publishers, legal, today: TODAY });
+  assert.deepEqual(dropped.history.map((r) => r.id), ["marca-2026-01-09"]);
+  assert.deepEqual(dropped.report.recordsDropped, ["marca-2026-01-02"]);
+
+  const reduced = applyRetention({
+    history,
+    imagesDir,
+    outputDir,
+    publishers,
+    legal: { ...legal, keepMetadata: true },
+    today: TODAY,
+  });
+  assert.deepEqual(reduced.history[0], makeRecord("marca", "2026-01-02", "ok", { headline: "Clásico", imageExpired: true }));
+  assert.equal(reduced.history[1], history[1]);
+  assert.deepEqual(reduced.report.recordsReduced, ["marca-2026-01-02"]);
+});
+
+test("a legacy record without status stays ok once it is reduced to metadata", () => {
+  const { outputDir, imagesDir } = siteWith([]);
+  const legacy = {
+    id: "marca-2026-01-02",
+    publisherId: "marca",
+    date: "2026-01-02",
+    imageMediumUrl: archivedImageUrl("marca", "2026-01-02"),
+  };
+  const { history } = applyRetention({
+    history: [legacy],
+    imagesDir,
+    outputDir,
+    publishers,
+    legal: { ...legal, keepMetadata: true },
+    today: TODAY,
+  });
+
+  assert.equal(history[0].status, "ok");
+  assert.equal(statusOf(history[0]), "ok");
+  assert.equal(history[0].imageMediumUrl, undefined);
+});
+
+test("a no_issue record inside the window loses the expired current-issue image it pointed at", () => {
+  const { outputDir, imagesDir } = siteWith([["marca", "2026-01-02"]]);
+  const history = [
+    makeRecord("marca", "2026-01-05", "no_issue", {
+      currentIssueDate: "2026-01-02",
+      imageMediumUrl: archivedImageUrl("marca", "2026-01-02"),
+    }),
+  ];
+  const result = applyRetention({ history, imagesDir, outputDir, publishers, legal, today: TODAY });
+
+  assert.equal(exists(outputDir, archivedImageUrl("marca", "2026-01-02")), false);
+  assert.equal(result.history[0].imageMediumUrl, undefined);
+  assert.equal(result.history[0].imageExpired, true);
+  assert.equal(result.history[0].currentIssueDate, "2026-01-02");
+  assert.deepEqual(result.report.recordsReduced, ["marca-2026-01-05"]);
+});
+
+test("dryRun reports the same work without touching anything", () => {
+  const { outputDir, imagesDir } = siteWith([["marca", "2026-01-02"]]);
+  const history = [makeRecord("marca", "2026-01-02", "ok")];
+  const { history: kept, report } = applyRetention({
+    history,
+    imagesDir,
+    outputDir,
+    publishers,
+    legal,
+    today: TODAY,
+    dryRun: true,
+  });
+
+  assert.equal(exists(outputDir, archivedImageUrl("marca", "2026-01-02")), true);
+  assert.deepEqual(kept, []);
+  assert.match(formatRetentionReport(report, { dryRun: true }), /^Would delete 1 image\(s\), would drop 1 record\(s\)/);
+});
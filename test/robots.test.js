@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRobotsPolicy, parseRobots, robotsVerdict, userAgentToken } from "../src/robots.js";
+
+const ROBOTS = `# kiosko-style robots.txt
+User-agent: *
+Disallow: /private/
+Disallow: /*.pdf$
+Allow: /private/covers/
+Crawl-delay: 2
+
+User-agent: BadBot
+User-agent: sportscovers-data
+Disallow: /archive
+`;
+
+test("userAgentToken takes the product name of the user agent", () => {
+  assert.equal(userAgentToken("sportscovers-data/1.0 (+https://example.org)"), "sportscovers-data");
+  assert.equal(userAgentToken("Example Crawler"), "example");
+});
+
+test("the longest matching rule wins, Allow on a tie, wildcards and $ anchor", () => {
+  const groups = parseRobots(ROBOTS);
+  const verdict = (p, token = "otherbot") => robotsVerdict(groups, token, p);
+
+  assert.deepEqual(verdict("/private/x.html"), { allowed: false, rule: "Disallow: /private/", crawlDelayMs: 2000 });
+  assert.equal(verdict("/private/covers/marca.jpg").allowed, true);
+  assert.equal(verdict("/docs/rates.pdf").allowed, false);
+  assert.equal(verdict("/docs/rates.pdf?v=2").allowed, true);
+  assert.deepEqual(verdict("/"), { allowed: true, rule: null, crawlDelayMs: 2000 });
+
+  assert.equal(robotsVerdict(parseRobots("User-agent: *\nDisallow: /a\nAllow: /a"), "x", "/a").allowed, true);
+});
+
+test("a group naming the crawler replaces the * group", () => {
+  const groups = parseRobots(ROBOTS);
+  assert.deepEqual(robotsVerdict(groups, "sportscovers-data", "/archive/2025"), {
+    allowed: false,
+    rule: "Disallow: /archive",
+    crawlDelayMs: null,
+  });
+  assert.equal(robotsVerdict(groups, "sportscovers-data", "/private/x.html").allowed, true);
+  assert.equal(robotsVerdict(parseRobots("User-agent: *\nDisallow:\n"), "x", "/anything").allowed, true);
+});
+
+test("the policy fetches robots.txt once per origin and reads 4xx, 5xx and errors per RFC 9309", async () => {
+  const answers = {
+    "https://a.example/robots.txt": { status: 200, text: "User-agent: *\nDisallow: /no\n" },
+    "https://gone.example/robots.txt": { status: 404, text: "" },
+    "https://broken.example/robots.txt": { status: 503, text: "" },
+  };
+  const fetched = [];
+  const policy = createRobotsPolicy({
+    userAgent: "sportscovers-data/1.0 (+https://example.org)",
+    fetchRobots: async (url) => {
+      fetched.push(url);
+      if (!answers[url]) throw new Error("ENOTFOUND");
+      return answers[url];
+    },
+  });
+
+  assert.equal((await policy.check("https://a.example/no/1")).allowed, false);
+  assert.equal((await policy.check("https://a.example/yes")).allowed, true);
+  assert.equal((await policy.check("https://gone.example/no")).allowed, true);
+  assert.deepEqual(await policy.check("https://broken.example/"), {
+    allowed: false,
+    rule: "robots.txt answered 503",
+    crawlDelayMs: null,
+  });
+  assert.match((await policy.check("https://down.example/")).rule, /robots.txt unreachable \(ENOTFOUND\)/);
+  assert.deepEqual(fetched, [
+    "https://a.example/robots.txt",
+    "https://gone.example/robots.txt",
+    "https://broken.example/robots.txt",
+    "https://down.example/robots.txt",
+  ]);
+
+  policy.configure({ enabled: false });
+  assert.equal((await policy.check("https://broken.example/")).allowed, true);
+});
+
+test("a Crawl-delay above the configured maximum blocks the host", async () => {
+  const policy = createRobotsPolicy({
+    maxCrawlDelayMs: 5000,
+    fetchRobots: async () => ({ status: 200, text: "User-agent: *\nCrawl-delay: 60\n" }),
+  });
+  assert.deepEqual(await policy.check("https://slow.example/page"), {
+    allowed: false,
+    rule: "Crawl-delay: 60 above the configured maximum",
+    crawlDelayMs: 60000,
+  });
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { isPublicationDay, latestIssueDate } from "../src/schedule.js";
+
+// 2026-01-05 is a Monday
+const kicker = { id: "kicker", country: "DE", schedule: { weekdays: ["mon", "thu"] } };
+const fortnightly = {
+  id: "fortnightly",
+  country: "ES",
+  schedule: { weekdays: ["mon"], intervalWeeks: 2, anchorDate: "2025-12-01" },
+};
+
+test("a publisher without a schedule prints every day", () => {
+  for (const d of ["2026-01-03", "2026-01-04", "2026-01-05"]) assert.equal(isPublicationDay({ country: "ES" }, d), true);
+});
+
+test("weekdays limit the print days, case and length aside", () => {
+  assert.deepEqual(
+    ["2026-01-05", "2026-01-06", "2026-01-07", "2026-01-08", "2026-01-09"].map((d) => isPublicationDay(kicker, d)),
+    [true, false, false, true, false]
+  );
+  const spelledOut = { schedule: { weekdays: ["Monday", "THURSDAY"] } };
+  assert.equal(isPublicationDay(spelledOut, "2026-01-08"), true);
+  assert.equal(isPublicationDay(spelledOut, "2026-01-09"), false);
+});
+
+test("intervalWeeks counts whole weeks from anchorDate, before it too", () => {
+  assert.equal(isPublicationDay(fortnightly, "2025-12-01"), true);
+  assert.equal(isPublicationDay(fortnightly, "2025-12-08"), false);
+  assert.equal(isPublicationDay(fortnightly, "2025-12-15"), true);
+  assert.equal(isPublicationDay(fortnightly, "2026-01-12"), true);
+  assert.equal(isPublicationDay(fortnightly, "2025-11-24"), false);
+  assert.equal(isPublicationDay(fortnightly, "2025-11-17"), true);
+  // Still only on its weekday
+  assert.equal(isPublicationDay(fortnightly, "2025-12-16"), false);
+});
+
+test("country holidays and the publisher's noPrintDates are days without an issue", () => {
+  const holidays = { DE: ["2026-01-01"], ES: ["2026-01-06"] };
+  assert.equal(isPublicationDay(kicker, "2026-01-01", { holidays }), false);
+  assert.equal(isPublicationDay(kicker, "2026-01-01"), true);
+  // Another country's holiday does not count
+  assert.equal(isPublicationDay({ country: "DE" }, "2026-01-06", { holidays }), true);
+
+  const noPrint = { ...kicker, schedule: { ...kicker.schedule, noPrintDates: ["2026-01-08"] } };
+  assert.equal(isPublicationDay(noPrint, "2026-01-08"), false);
+  assert.equal(isPublicationDay(noPrint, "2026-01-12"), true);
+});
+
+test("latestIssueDate walks back to the current issue", () => {
+  assert.equal(latestIssueDate(kicker, "2026-01-05"), "2026-01-05");
+  assert.equal(latestIssueDate(kicker, "2026-01-07"), "2026-01-05");
+  // Thursday 2026-01-01 is a holiday: the current issue is the Monday before
+  assert.equal(latestIssueDate(kicker, "2026-01-04", { holidays: { DE: ["2026-01-01"] } }), "2025-12-29");
+  assert.equal(latestIssueDate(fortnightly, "2025-12-14"), "2025-12-01");
+});
+
+test("latestIssueDate gives up after its lookback window", () => {
+  // Once a year: the last issue before 2026-01-04 was on 2025-01-06
+  const annual = { schedule: { weekdays: ["mon"], intervalWeeks: 52, anchorDate: "2024-01-08" } };
+  assert.equal(latestIssueDate(annual, "2026-01-04"), null);
+  assert.equal(latestIssueDate(annual, "2026-01-05"), "2026-01-05");
+});
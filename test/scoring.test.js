@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { pickBestFromSrcset, scoreCoverCandidate } from "../src/fetchers.js";
+import { aggregatorSlugs, extractDateFromUrl, getAggregator } from "../src/aggregators.js";
+import publishersData from "../src/publishers.json" with { type: "json" };
+
+const byId = new Map(publishersData.publishers.map((p) => [p.id, p]));
+
+test("pickBestFromSrcset prefers the widest candidate", () => {
+  const srcset = "/c/small.jpg 300w, /c/large.jpg 1200w, /c/medium.jpg 750w";
+  assert.equal(pickBestFromSrcset(srcset, "https://example.com/portada/"), "https://example.com/c/large.jpg");
+});
+
+test("pickBestFromSrcset handles density descriptors and protocol-relative URLs", () => {
+  const srcset = "//cdn.example.com/a.jpg 1x, //cdn.example.com/b.jpg 2x";
+  assert.equal(pickBestFromSrcset(srcset, "https://example.com/"), "https://cdn.example.com/b.jpg");
+});
+
+test("pickBestFromSrcset returns null for empty input", () => {
+  assert.equal(pickBestFromSrcset("", "https://example.com/"), null);
+});
+
+test("scoreCoverCandidate: a large portrait kiosko scan clears the 70 threshold", () => {
+  const meta = { bytes: 450000, width: 1000, height: 1300, contentType: "image/jpeg" };
+  const score = scoreCoverCandidate("https://img.kiosko.net/2025/12/26/es/marca.750.jpg", meta, "kiosko.net(direct)");
+  assert.equal(score, 120 + 25 + 60 + 40 + 5);
+  assert.ok(score >= 70);
+});
+
+test("scoreCoverCandidate: logos and landscape images are penalised", () => {
+  const logo = scoreCoverCandidate("https://example.com/logo.png", { bytes: 20000, width: 300, height: 100 });
+  assert.ok(logo < 0);
+
+  const landscape = scoreCoverCandidate("https://example.com/photo.jpg", { bytes: 200000, width: 1600, height: 900 });
+  assert.ok(landscape < 55);
+});
+
+test("scoreCoverCandidate: today.json sources get the 200 point head start", () => {
+  const meta = { bytes: 100000, width: 600, height: 900 };
+  const url = "https://example.com/cover.jpg";
+  assert.equal(scoreCoverCandidate(url, meta, "today.json:docs/data/today.json") - scoreCoverCandidate(url, meta), 200);
+});
+
+const kiosko = getAggregator("kiosko");
+
+test("aggregatorSlugs puts mapped slugs first, then generated ones", () => {
+  const slugs = aggregatorSlugs(kiosko, byId.get("lequipe"));
+  assert.deepEqual(slugs.slice(0, 4), ["l_equip", "l_equipe", "lequipe", "le_equipe"]);
+  assert.equal(new Set(slugs).size, slugs.length);
+});
+
+test("aggregatorSlugs derives slugs for unmapped publishers from id and name", () => {
+  const slugs = aggregatorSlugs(kiosko, byId.get("spherasports"));
+  assert.equal(slugs[0], "spherasports");
+});
+
+test("extractDateFromUrl reads date-addressed aggregator URLs only", () => {
+  assert.equal(extractDateFromUrl("https://img.kiosko.net/2025/12/27/es/marca.750.jpg"), "2025-12-27");
+  assert.equal(extractDateFromUrl("https://example.com/2025/12/27/marca.jpg"), null);
+});
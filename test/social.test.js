@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { nitterUrlForProfile, parseNitterTimeline, pickEditionPost } from "../src/social.js";
+import { readFixture } from "./helpers.js";
+
+const PAGE_URL = "https://nitter.net/DailyStar_Sport";
+const posts = parseNitterTimeline(readFixture("nitter-dailystar.html"), PAGE_URL);
+
+test("nitterUrlForProfile maps twitter/x profiles and keeps nitter URLs", () => {
+  assert.equal(nitterUrlForProfile("https://twitter.com/marca", "https://nitter.net"), "https://nitter.net/marca");
+  assert.equal(nitterUrlForProfile("https://x.com/diarioas/", "https://nitter.net/"), "https://nitter.net/diarioas");
+  assert.equal(nitterUrlForProfile("https://nitter.net/MirrorFootball"), "https://nitter.net/MirrorFootball");
+  assert.equal(nitterUrlForProfile("https://twitter.com/not a handle", "https://nitter.net"), null);
+});
+
+test("parseNitterTimeline reads ids, dates, flags and original-size media", () => {
+  assert.equal(posts.length, 6);
+
+  const backPage = posts.find((p) => p.id === "1003");
+  assert.equal(backPage.url, "https://nitter.net/DailyStar_Sport/status/1003");
+  assert.equal(backPage.postedAt, "2025-12-26T06:30:00.000Z");
+  assert.deepEqual(backPage.media, ["https://pbs.twimg.com/media/G1_backpage.jpg?name=orig"]);
+
+  assert.equal(posts.find((p) => p.id === "1001").isPinned, true);
+  assert.equal(posts.find((p) => p.id === "1005").isRetweet, true);
+  assert.deepEqual(posts.find((p) => p.id === "1000").media, []);
+});
+
+test("pickEditionPost matches caption keywords on the edition date", () => {
+  const post = pickEditionPost(posts, { dateStr: "2025-12-26", timezone: "Europe/London", keywords: ["back page"] });
+  assert.equal(post.id, "1003");
+});
+
+test("pickEditionPost without keywords takes the latest own post with media", () => {
+  const post = pickEditionPost(posts, { dateStr: "2025-12-26", timezone: "Europe/London" });
+  assert.equal(post.id, "1004");
+});
+
+test("pickEditionPost uses the publisher timezone for the edition date", () => {
+  // 22:45 UTC on the 25th is already the 26th in Istanbul
+  const post = pickEditionPost(posts, { dateStr: "2025-12-25", timezone: "Europe/London", keywords: ["back page"] });
+  assert.equal(post.id, "1002");
+  const shifted = pickEditionPost(posts, { dateStr: "2025-12-25", timezone: "Europe/Istanbul", keywords: ["back page"] });
+  assert.equal(shifted, null);
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createDataStore } from "../src/store.js";
+import { makeRecord, tmpDir } from "./helpers.js";
+
+test("lock() keeps a second writer out until the first releases", () => {
+  const dataDir = tmpDir();
+  const release = createDataStore(dataDir).lock();
+  assert.throws(() => createDataStore(dataDir).lock(), /another run is writing this site/);
+
+  release();
+  assert.equal(fs.existsSync(path.join(dataDir, ".lock")), false);
+  createDataStore(dataDir).lock()();
+});
+
+test("lock() takes over a lock left by a process that is gone or too old", () => {
+  const dataDir = tmpDir();
+  const lockFile = path.join(dataDir, ".lock");
+
+  fs.writeFileSync(lockFile, JSON.stringify({ pid: 2 ** 22 + 1, since: new Date().toISOString() }));
+  createDataStore(dataDir).lock()();
+
+  fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, since: "2000-01-01T00:00:00.000Z" }));
+  createDataStore(dataDir).lock()();
+  assert.equal(fs.existsSync(lockFile), false);
+});
+
+test("today.json is upserted per publisher, replaced whole and kept sorted", () => {
+  const dataDir = tmpDir();
+  const store = createDataStore(dataDir);
+  const read = () => JSON.parse(fs.readFileSync(path.join(dataDir, "today.json"), "utf8")).map((r) => r.id);
+
+  store.replaceToday([makeRecord("sport", "2026-01-02"), makeRecord("as", "2026-01-02"), makeRecord("marca", "2026-01-01")]);
+  assert.deepEqual(read(), ["marca-2026-01-01", "as-2026-01-02", "sport-2026-01-02"]);
+
+  store.upsertToday([makeRecord("marca", "2026-01-02")]);
+  assert.deepEqual(read(), ["as-2026-01-02", "marca-2026-01-02", "sport-2026-01-02"]);
+
+  store.replaceToday([makeRecord("as", "2026-01-03")]);
+  assert.deepEqual(read(), ["as-2026-01-03"]);
+  assert.deepEqual(fs.readdirSync(dataDir), ["today.json"]);
+});
+
+test("knownGoodCover() looks in today.json, then the history, and skips failed days", () => {
+  const dataDir = tmpDir();
+  const store = createDataStore(dataDir);
+  store.writeHistory([makeRecord("marca", "2026-01-01"), makeRecord("as", "2026-01-01", "error")]);
+  store.replaceToday([makeRecord("marca", "2026-01-02", "ok", { sourceUrl: "https://img.example/today.jpg" })]);
+
+  assert.equal(store.knownGoodCover("marca", "2026-01-02").sourceUrl, "https://img.example/today.jpg");
+  assert.equal(store.knownGoodCover("marca", "2026-01-01").id, "marca-2026-01-01");
+  assert.equal(store.knownGoodCover("as", "2026-01-01"), null);
+  assert.equal(store.knownGoodCover("sport", "2026-01-02"), null);
+
+  const fresh = createDataStore(dataDir);
+  assert.equal(fresh.knownGoodCover("marca", "2026-01-01"), null);
+  assert.deepEqual(fresh.readHistory().records.length, 2);
+  assert.equal(fresh.knownGoodCover("marca", "2026-01-01").id, "marca-2026-01-01");
+});
+
+test("a read-only store merges a legacy covers.json in memory and refuses writes", () => {
+  const dataDir = tmpDir();
+  fs.writeFileSync(path.join(dataDir, "covers.json"), JSON.stringify([makeRecord("marca", "2026-01-01")]));
+  const store = createDataStore(dataDir, { readOnly: true });
+
+  assert.deepEqual(store.readHistory(), { records: [makeRecord("marca", "2026-01-01")], migrated: null });
+  assert.throws(() => store.lock(), /read-only/);
+  assert.throws(() => store.replaceToday([]), /read-only/);
+  assert.deepEqual(fs.readdirSync(dataDir), ["covers.json"]);
+});